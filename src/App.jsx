@@ -1,7 +1,11 @@
-import React from 'react';
+import React, { useState } from 'react';
 import styled from '@emotion/styled';
 import { motion } from 'framer-motion';
 import Game from './components/Game';
+import LevelEditor from './components/LevelEditor';
+import Benchmark from './components/Benchmark';
+import RunHistory from './components/RunHistory';
+import Achievements from './components/Achievements';
 
 const AppContainer = styled.div`
   min-height: 100vh;
@@ -38,6 +42,22 @@ const Footer = styled(motion.footer)`
 `;
 
 const App = () => {
+  // Opening the page with ?benchmark goes straight to the simulation benchmark
+  const [view, setView] = useState(() => (
+    new URLSearchParams(window.location.search).has('benchmark') ? 'benchmark' : 'game'
+  ));
+  const [playtestLevel, setPlaytestLevel] = useState(null);
+
+  const handlePlaytest = (level) => {
+    setPlaytestLevel(level);
+    setView('game');
+  };
+
+  const handleExitPlaytest = () => {
+    setPlaytestLevel(null);
+    setView('editor');
+  };
+
   return (
     <AppContainer>
       <Header
@@ -61,7 +81,30 @@ const App = () => {
         </Subtitle>
       </Header>
 
-      <Game />
+      {view === 'benchmark' && <Benchmark onClose={() => setView('game')} />}
+
+      {view === 'history' && <RunHistory onClose={() => setView('game')} />}
+
+      {view === 'achievements' && <Achievements onClose={() => setView('game')} />}
+
+      {view === 'editor' && (
+        <LevelEditor
+          onPlaytest={handlePlaytest}
+          onClose={() => setView('game')}
+        />
+      )}
+
+      {view === 'game' && (
+        // Remount so a play-test always starts from a fresh engine
+        <Game
+          key={playtestLevel ? 'playtest' : 'game'}
+          playtestLevel={playtestLevel}
+          onOpenEditor={() => setView('editor')}
+          onOpenHistory={() => setView('history')}
+          onOpenAchievements={() => setView('achievements')}
+          onExitPlaytest={handleExitPlaytest}
+        />
+      )}
 
       <Footer
         initial={{ opacity: 0 }}
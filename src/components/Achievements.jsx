@@ -0,0 +1,89 @@
+import React, { useState } from 'react';
+import styled from '@emotion/styled';
+import { motion } from 'framer-motion';
+import { ACHIEVEMENTS, loadUnlockedAchievements } from '../game/achievements';
+
+const Panel = styled(motion.div)`
+  max-width: 760px;
+  margin: 0 auto 2rem;
+  padding: 20px 30px;
+  background: rgba(255, 255, 255, 0.1);
+  backdrop-filter: blur(10px);
+  border-radius: 20px;
+  box-shadow: 0 10px 30px rgba(0, 0, 0, 0.3);
+`;
+
+const Summary = styled.p`
+  color: #a0a0a0;
+`;
+
+const Gallery = styled.div`
+  display: grid;
+  grid-template-columns: repeat(auto-fill, minmax(220px, 1fr));
+  gap: 12px;
+`;
+
+const Card = styled.div`
+  padding: 14px 16px;
+  border-radius: 12px;
+  border: 2px solid ${props => (props.unlocked ? '#FFD700' : 'rgba(255, 255, 255, 0.1)')};
+  background: rgba(0, 0, 0, 0.2);
+  opacity: ${props => (props.unlocked ? 1 : 0.5)};
+
+  h3 {
+    margin: 0 0 6px;
+    font-size: 1.05rem;
+    color: ${props => (props.unlocked ? '#FFD700' : 'white')};
+  }
+
+  p {
+    margin: 0;
+    font-size: 0.9rem;
+  }
+
+  small {
+    display: block;
+    margin-top: 8px;
+    color: #a0a0a0;
+  }
+`;
+
+const Button = styled(motion.button)`
+  background: rgba(255, 255, 255, 0.1);
+  color: white;
+  border: 2px solid rgba(255, 255, 255, 0.2);
+  padding: 8px 18px;
+  border-radius: 10px;
+  font-size: 1rem;
+  cursor: pointer;
+  margin-top: 20px;
+`;
+
+// Every achievement, unlocked or not, with the date it was earned
+const Achievements = ({ onClose }) => {
+  const [unlocked] = useState(loadUnlockedAchievements);
+  const unlockedCount = ACHIEVEMENTS.filter(achievement => unlocked[achievement.id]).length;
+
+  return (
+    <Panel initial={{ opacity: 0, y: 20 }} animate={{ opacity: 1, y: 0 }}>
+      <h2>Achievements</h2>
+      <Summary>{unlockedCount} of {ACHIEVEMENTS.length} unlocked</Summary>
+      <Gallery>
+        {ACHIEVEMENTS.map(achievement => (
+          <Card key={achievement.id} unlocked={Boolean(unlocked[achievement.id])}>
+            <h3>{achievement.name}</h3>
+            <p>{achievement.description}</p>
+            {unlocked[achievement.id] && (
+              <small>Unlocked {new Date(unlocked[achievement.id]).toLocaleDateString()}</small>
+            )}
+          </Card>
+        ))}
+      </Gallery>
+      <Button onClick={onClose} whileHover={{ scale: 1.05 }} whileTap={{ scale: 0.95 }}>
+        Back to Game
+      </Button>
+    </Panel>
+  );
+};
+
+export default Achievements;
@@ -0,0 +1,138 @@
+import React, { useEffect, useRef, useState } from 'react';
+import styled from '@emotion/styled';
+import { motion } from 'framer-motion';
+import { BENCHMARK_SHAPE_COUNTS, runBenchmark } from '../game/benchmark';
+
+const Panel = styled(motion.div)`
+  max-width: 520px;
+  margin: 0 auto 2rem;
+  padding: 20px 30px;
+  background: rgba(255, 255, 255, 0.1);
+  backdrop-filter: blur(10px);
+  border-radius: 20px;
+  box-shadow: 0 10px 30px rgba(0, 0, 0, 0.3);
+`;
+
+const Results = styled.table`
+  width: 100%;
+  border-collapse: collapse;
+  font-variant-numeric: tabular-nums;
+
+  th, td {
+    padding: 8px;
+    text-align: right;
+    border-bottom: 1px solid rgba(255, 255, 255, 0.1);
+  }
+
+  th {
+    color: #B0E0E6;
+    font-weight: 500;
+  }
+`;
+
+const ErrorText = styled.p`
+  font-size: 0.9rem;
+  color: #FF8C66;
+`;
+
+const ButtonRow = styled.div`
+  display: flex;
+  gap: 12px;
+  margin-top: 20px;
+`;
+
+const Button = styled(motion.button)`
+  background: rgba(255, 255, 255, 0.1);
+  color: white;
+  border: 2px solid rgba(255, 255, 255, 0.2);
+  padding: 8px 18px;
+  border-radius: 10px;
+  font-size: 1rem;
+  cursor: pointer;
+
+  &:disabled {
+    opacity: 0.5;
+    cursor: default;
+  }
+`;
+
+// Real time: one simulation tick per frame at 60fps
+const REAL_TIME_TICKS_PER_SECOND = 60;
+
+// Runs the simulation benchmark at growing shape counts, one count at a time
+// so the table fills in as results arrive
+const Benchmark = ({ onClose }) => {
+  const [results, setResults] = useState([]);
+  const [running, setRunning] = useState(false);
+  const [error, setError] = useState(null);
+  const timeoutRef = useRef(null);
+
+  const runFrom = (index) => {
+    if (index >= BENCHMARK_SHAPE_COUNTS.length) {
+      setRunning(false);
+      return;
+    }
+    // Let the previous row render before blocking on the next run
+    timeoutRef.current = setTimeout(() => {
+      let result;
+      try {
+        result = runBenchmark(BENCHMARK_SHAPE_COUNTS[index]);
+      } catch (runError) {
+        setError(runError.message);
+        setRunning(false);
+        return;
+      }
+      setResults(prev => [...prev, result]);
+      runFrom(index + 1);
+    }, 50);
+  };
+
+  const start = () => {
+    setResults([]);
+    setError(null);
+    setRunning(true);
+    runFrom(0);
+  };
+
+  useEffect(() => () => clearTimeout(timeoutRef.current), []);
+
+  const buttonMotion = {
+    whileHover: { scale: 1.05 },
+    whileTap: { scale: 0.95 }
+  };
+
+  return (
+    <Panel initial={{ opacity: 0, y: 20 }} animate={{ opacity: 1, y: 0 }}>
+      <h2>Simulation Benchmark</h2>
+      <Results>
+        <thead>
+          <tr>
+            <th>Shapes</th>
+            <th>Ticks/s</th>
+            <th>ms/tick</th>
+            <th>Real time</th>
+          </tr>
+        </thead>
+        <tbody>
+          {results.map(result => (
+            <tr key={result.shapes}>
+              <td>{result.shapes}</td>
+              <td>{Math.round(result.ticksPerSecond)}</td>
+              <td>{(result.milliseconds / result.ticks).toFixed(2)}</td>
+              <td>{(result.ticksPerSecond / REAL_TIME_TICKS_PER_SECOND).toFixed(1)}x</td>
+            </tr>
+          ))}
+        </tbody>
+      </Results>
+      {error && <ErrorText>{error}</ErrorText>}
+      <ButtonRow>
+        <Button onClick={start} disabled={running} {...buttonMotion}>
+          {running ? 'Running...' : 'Run'}
+        </Button>
+        <Button onClick={onClose} disabled={running} {...buttonMotion}>Back to Game</Button>
+      </ButtonRow>
+    </Panel>
+  );
+};
+
+export default Benchmark;
@@ -2,6 +2,16 @@ import React, { useEffect, useRef, useState } from 'react';
 import styled from '@emotion/styled';
 import { motion, AnimatePresence } from 'framer-motion';
 import { GameEngine } from '../game/GameEngine';
+import { importReplay } from '../game/replay';
+import { loadSavedRun, clearSavedRun } from '../game/savedRun';
+import { recordRun } from '../game/runHistory';
+import { trackAchievements } from '../game/achievements';
+import { parseCampaign } from '../game/levels';
+import trainingLevels from '../levels/training.json';
+import ReplayControls from './ReplayControls';
+
+// Hand-designed campaign offered next to the endless procedural mode
+const trainingCampaign = parseCampaign(trainingLevels);
 
 const GameContainer = styled.div`
   display: flex;
@@ -139,88 +149,334 @@ const RestartButton = styled(motion.button)`
   }
 `;
 
-const Game = () => {
+const ModeButton = styled(RestartButton)`
+  left: 20px;
+  right: auto;
+`;
+
+const EditorButton = styled(ModeButton)`
+  top: 75px;
+`;
+
+const PauseButton = styled(RestartButton)`
+  top: 75px;
+`;
+
+const HistoryButton = styled(ModeButton)`
+  top: 130px;
+`;
+
+const AchievementsButton = styled(ModeButton)`
+  top: 185px;
+`;
+
+const Toasts = styled.div`
+  position: fixed;
+  bottom: 20px;
+  right: 20px;
+  display: flex;
+  flex-direction: column;
+  gap: 10px;
+  z-index: 1100;
+`;
+
+const Toast = styled(motion.div)`
+  background: rgba(26, 26, 46, 0.9);
+  border: 2px solid #FFD700;
+  padding: 12px 20px;
+  border-radius: 12px;
+  box-shadow: 0 4px 15px rgba(0, 0, 0, 0.3);
+
+  strong {
+    display: block;
+    color: #FFD700;
+  }
+`;
+
+// How long an achievement toast stays up
+const TOAST_TIME = 4000;
+
+const NewRecord = styled(motion.div)`
+  font-size: 1.6rem;
+  font-weight: 800;
+  color: #FF8C00;
+  margin-bottom: 10px;
+`;
+
+// Campaign the engine runs for each mode; endless mode is procedural
+const getCampaign = (mode, playtestLevel) => {
+  if (mode === 'campaign') return trainingCampaign;
+  if (mode === 'playtest') return { name: 'Playtest', levels: [playtestLevel] };
+  return null;
+};
+
+// Celebrates a run that beat the high score table, or says where it placed
+const RunRecord = ({ record }) => {
+  if (!record) return null;
+  if (record.newRecord) {
+    return (
+      <NewRecord
+        initial={{ scale: 0.5, opacity: 0 }}
+        animate={{ scale: [0.5, 1.2, 1], opacity: 1 }}
+        transition={{ duration: 0.6, delay: 0.2 }}
+      >
+        New record!
+      </NewRecord>
+    );
+  }
+  return record.rank ? <p>#{record.rank} on the high score table</p> : null;
+};
+
+const Game = ({ playtestLevel, onOpenEditor, onExitPlaytest, onOpenHistory, onOpenAchievements }) => {
   const canvasRef = useRef(null);
   const gameEngineRef = useRef(null);
   const [gameState, setGameState] = useState({
     level: 1,
+    levelName: '',
+    mode: playtestLevel ? 'playtest' : 'endless',
+    seed: null,
     gameOver: false,
-    isTransitioning: false
+    runSummary: null,
+    runRecord: null,
+    campaignComplete: false,
+    isTransitioning: false,
+    paused: false,
+    replay: null,
+    replayError: null,
+    savedRun: null
   });
+  const [toasts, setToasts] = useState([]);
+  const transitionTimeoutRef = useRef(null);
+  const toastTimeoutsRef = useRef([]);
+  const runRecordedRef = useRef(false);
+
+  // Shows the level banner, hiding it again after 1.5 seconds
+  const showTransition = () => {
+    setGameState(prev => ({ ...prev, isTransitioning: true }));
+    clearTimeout(transitionTimeoutRef.current);
+    transitionTimeoutRef.current = setTimeout(() => {
+      setGameState(prev => ({ ...prev, isTransitioning: false }));
+    }, 1500);
+  };
 
-  const initializeGame = (level) => {
+  // Shows an unlocked achievement for a few seconds
+  const showAchievement = (achievement) => {
+    setToasts(prev => [...prev, achievement]);
+    toastTimeoutsRef.current.push(setTimeout(() => {
+      setToasts(prev => prev.filter(toast => toast !== achievement));
+    }, TOAST_TIME));
+  };
+
+  // Adds the current run to the history once, whether it ended or was
+  // abandoned. Returns where it placed, or null if it was not recorded.
+  const recordFinishedRun = (outcome) => {
+    const engine = gameEngineRef.current;
+    if (!engine || engine.replay || playtestLevel || runRecordedRef.current) return null;
+
+    const summary = engine.runSummary();
+    // Restarting straight away is not worth a place in the history
+    if (outcome === 'abandoned' && summary.score === 0) return null;
+
+    runRecordedRef.current = true;
+    return recordRun({ ...summary, outcome, date: new Date().toISOString() });
+  };
+
+  // `autoStart: false` leaves the engine idle, e.g. while a saved run is offered
+  const initializeGame = (level, seed, mode = gameState.mode, autoStart = true) => {
     const canvas = canvasRef.current;
     if (!canvas) return;
 
-    const callbacks = {
-      onLevelChange: (newLevel) => {
-        setGameState(prev => ({ ...prev, level: newLevel, isTransitioning: true }));
-        // Hide transition after 1.5 seconds
-        setTimeout(() => {
-          setGameState(prev => ({ ...prev, isTransitioning: false }));
-        }, 1500);
-      },
-      onGameOver: () => setGameState(prev => ({ ...prev, gameOver: true })),
-      onSuccess: () => {
-        // Automatically progress to next level
-        const nextLevel = gameState.level + 1;
-        setGameState(prev => ({ 
-          ...prev, 
-          level: nextLevel, 
-          isTransitioning: true 
-        }));
-        if (gameEngineRef.current) {
-          gameEngineRef.current.nextLevel();
-        }
-        // Hide transition after 1.5 seconds
-        setTimeout(() => {
-          setGameState(prev => ({ ...prev, isTransitioning: false }));
-        }, 1500);
-      }
-    };
-
     if (gameEngineRef.current) {
-      gameEngineRef.current.cleanup();
+      gameEngineRef.current.destroy();
     }
-    gameEngineRef.current = new GameEngine(canvas, callbacks);
-    gameEngineRef.current.level = level;
+    const engine = new GameEngine(canvas, {
+      level,
+      seed,
+      campaign: getCampaign(mode, playtestLevel),
+      ghost: mode !== 'playtest',
+      autosave: mode !== 'playtest',
+      showHulls: new URLSearchParams(window.location.search).get('debug') === 'hulls'
+    });
+
+    // The simulation advances to the next level on its own when the exit
+    // is reached, so the transition is driven entirely by levelStart
+    engine.on('levelStart', ({ level: newLevel, name }) => {
+      setGameState(prev => ({ ...prev, level: newLevel, levelName: name }));
+      showTransition();
+    });
+    engine.on('gameOver', (runSummary) => {
+      const runRecord = recordFinishedRun('gameOver');
+      setGameState(prev => ({ ...prev, gameOver: true, runSummary, runRecord }));
+    });
+    engine.on('campaignComplete', () => {
+      const runRecord = recordFinishedRun('campaignComplete');
+      setGameState(prev => ({ ...prev, campaignComplete: true, runRecord }));
+    });
+    engine.on('replayUpdate', (replay) => setGameState(prev => ({ ...prev, replay, level: replay.level })));
+    engine.on('pause', ({ paused }) => setGameState(prev => ({ ...prev, paused })));
+    if (mode !== 'playtest') trackAchievements(engine, showAchievement);
+
+    gameEngineRef.current = engine;
+    runRecordedRef.current = false;
+    if (autoStart) engine.start();
+    setGameState(prev => ({
+      ...prev,
+      mode,
+      paused: false,
+      seed: engine.seed,
+      levelName: engine.world.levelName,
+      campaignComplete: false,
+      runRecord: null,
+      replay: null,
+      savedRun: null
+    }));
   };
 
   useEffect(() => {
-    initializeGame(1);
+    // A ?seed=... query parameter reproduces a reported run
+    const urlSeed = new URLSearchParams(window.location.search).get('seed');
+    // Otherwise a run saved before the page was left can be continued
+    const savedRun = urlSeed === null && !playtestLevel ? loadSavedRun() : null;
+    initializeGame(1, urlSeed === null ? undefined : urlSeed, undefined, !savedRun);
+    if (savedRun) setGameState(prev => ({ ...prev, savedRun }));
+
+    const toastTimeouts = toastTimeoutsRef.current;
     return () => {
+      clearTimeout(transitionTimeoutRef.current);
+      toastTimeouts.forEach(clearTimeout);
       if (gameEngineRef.current) {
-        gameEngineRef.current.cleanup();
+        gameEngineRef.current.destroy();
       }
     };
   }, []);
 
-  const handleRestart = () => {
-    // Only handle game over restart
-    setGameState(prev => ({ ...prev, gameOver: false }));
-    if (gameEngineRef.current) {
-      gameEngineRef.current.resetLevel();
-    }
+  // Leaving for the editor, the high scores or the achievements keeps the run
+  // to continue. This is not done on unmount, which StrictMode also goes
+  // through right after the first mount.
+  const leaveGame = (onLeave) => () => {
+    if (gameEngineRef.current) gameEngineRef.current.saveRun();
+    onLeave();
   };
 
-  const handleFullRestart = () => {
+  const handleFullRestart = (mode = gameState.mode) => {
+    recordFinishedRun('abandoned');
+
     // Reset game to level 1
-    setGameState({
+    setGameState(prev => ({
+      ...prev,
       level: 1,
-      gameOver: false,
-      isTransitioning: true
-    });
-    initializeGame(1);
-    // Hide transition after 1.5 seconds
-    setTimeout(() => {
-      setGameState(prev => ({ ...prev, isTransitioning: false }));
-    }, 1500);
+      gameOver: false
+    }));
+    initializeGame(1, undefined, mode);
+    showTransition();
   };
 
+  const handleContinueRun = () => {
+    const engine = gameEngineRef.current;
+    try {
+      engine.deserialize(gameState.savedRun);
+    } catch (error) {
+      // The save could be read when offered, so this should not happen
+      clearSavedRun();
+    }
+    engine.start();
+    setGameState(prev => ({
+      ...prev,
+      mode: engine.world.campaign ? 'campaign' : 'endless',
+      level: engine.world.level,
+      levelName: engine.world.levelName,
+      seed: engine.seed,
+      savedRun: null
+    }));
+    showTransition();
+  };
+
+  const handleNewRun = () => {
+    clearSavedRun();
+    setGameState(prev => ({ ...prev, savedRun: null }));
+    gameEngineRef.current.start();
+  };
+
+  const handleExportReplay = () => {
+    const engine = gameEngineRef.current;
+    if (!engine) return;
+
+    const blob = new Blob([engine.exportRecording()], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `life-escape-${engine.seed}.replay.json`;
+    link.click();
+    URL.revokeObjectURL(url);
+  };
+
+  const handleImportReplay = async (file) => {
+    try {
+      const recording = importReplay(await file.text());
+      recordFinishedRun('abandoned');
+      setGameState(prev => ({ ...prev, seed: recording.seed, gameOver: false, replayError: null }));
+      gameEngineRef.current.loadReplay(recording);
+    } catch (error) {
+      setGameState(prev => ({ ...prev, replayError: error.message }));
+    }
+  };
+
+  const isPlaytest = gameState.mode === 'playtest';
+
   return (
     <GameContainer>
+      {!isPlaytest && (
+        <ModeButton
+          onClick={() => handleFullRestart(gameState.mode === 'campaign' ? 'endless' : 'campaign')}
+          whileHover={{ scale: 1.05 }}
+          whileTap={{ scale: 0.95 }}
+          initial={{ opacity: 0, y: -20 }}
+          animate={{ opacity: 1, y: 0 }}
+          transition={{ duration: 0.5 }}
+        >
+          {gameState.mode === 'campaign' ? 'Endless Mode' : `${trainingCampaign.name} Campaign`}
+        </ModeButton>
+      )}
+
+      <EditorButton
+        onClick={isPlaytest ? onExitPlaytest : leaveGame(onOpenEditor)}
+        whileHover={{ scale: 1.05 }}
+        whileTap={{ scale: 0.95 }}
+        initial={{ opacity: 0, y: -20 }}
+        animate={{ opacity: 1, y: 0 }}
+        transition={{ duration: 0.5 }}
+      >
+        {isPlaytest ? 'Back to Editor' : 'Level Editor'}
+      </EditorButton>
+
+      {!isPlaytest && (
+        <HistoryButton
+          onClick={leaveGame(onOpenHistory)}
+          whileHover={{ scale: 1.05 }}
+          whileTap={{ scale: 0.95 }}
+          initial={{ opacity: 0, y: -20 }}
+          animate={{ opacity: 1, y: 0 }}
+          transition={{ duration: 0.5 }}
+        >
+          High Scores
+        </HistoryButton>
+      )}
+
+      {!isPlaytest && (
+        <AchievementsButton
+          onClick={leaveGame(onOpenAchievements)}
+          whileHover={{ scale: 1.05 }}
+          whileTap={{ scale: 0.95 }}
+          initial={{ opacity: 0, y: -20 }}
+          animate={{ opacity: 1, y: 0 }}
+          transition={{ duration: 0.5 }}
+        >
+          Achievements
+        </AchievementsButton>
+      )}
+
       <RestartButton
-        onClick={handleFullRestart}
+        onClick={() => handleFullRestart()}
         whileHover={{ scale: 1.05 }}
         whileTap={{ scale: 0.95 }}
         initial={{ opacity: 0, y: -20 }}
@@ -230,6 +486,17 @@ const Game = () => {
         Restart Game
       </RestartButton>
 
+      <PauseButton
+        onClick={() => gameEngineRef.current.togglePause()}
+        whileHover={{ scale: 1.05 }}
+        whileTap={{ scale: 0.95 }}
+        initial={{ opacity: 0, y: -20 }}
+        animate={{ opacity: 1, y: 0 }}
+        transition={{ duration: 0.5 }}
+      >
+        {gameState.paused ? 'Resume' : 'Pause'}
+      </PauseButton>
+
       <GameTitle
         initial={{ opacity: 0, y: -50 }}
         animate={{ opacity: 1, y: 0 }}
@@ -251,14 +518,35 @@ const Game = () => {
           animate={{ opacity: 1, y: 0 }}
           transition={{ duration: 0.5 }}
         >
-          Level: {gameState.level}
+          Level: {gameState.level}{gameState.levelName && ` - ${gameState.levelName}`}
+        </InfoCard>
+        <InfoCard
+          initial={{ opacity: 0, y: -20 }}
+          animate={{ opacity: 1, y: 0 }}
+          transition={{ duration: 0.5, delay: 0.1 }}
+          title="Open the game with ?seed=<value> to replay this layout"
+        >
+          Seed: {gameState.seed}
         </InfoCard>
       </GameInfo>
       
       <GameCanvas ref={canvasRef} width={800} height={600} />
 
+      <ReplayControls
+        replay={gameState.replay}
+        error={gameState.replayError}
+        onExport={handleExportReplay}
+        onImport={handleImportReplay}
+        onPlay={() => gameEngineRef.current.playReplay()}
+        onPause={() => gameEngineRef.current.pauseReplay()}
+        onStep={() => gameEngineRef.current.stepReplayFrame()}
+        onSpeedChange={(speed) => gameEngineRef.current.setReplaySpeed(speed)}
+        onSeek={(frame) => gameEngineRef.current.seekReplay(frame)}
+        onExit={() => handleFullRestart()}
+      />
+
       <AnimatePresence>
-        {gameState.gameOver && (
+        {gameState.gameOver && !gameState.replay && (
           <GameOverlay
             initial={{ opacity: 0 }}
             animate={{ opacity: 1 }}
@@ -272,9 +560,16 @@ const Game = () => {
               transition={{ duration: 0.3 }}
             >
               <h2>Game Over</h2>
+              <RunRecord record={gameState.runRecord} />
+              <p>Score: {gameState.runSummary.score}</p>
+              <p>
+                You reached level {gameState.runSummary.level}
+                {gameState.runSummary.levelName && ` - ${gameState.runSummary.levelName}`} and
+                survived {(gameState.runSummary.time / 1000).toFixed(1)}s.
+              </p>
               <p>Try again!</p>
               <Button
-                onClick={handleRestart}
+                onClick={() => handleFullRestart()}
                 whileHover={{ scale: 1.05 }}
                 whileTap={{ scale: 0.95 }}
               >
@@ -285,6 +580,113 @@ const Game = () => {
         )}
       </AnimatePresence>
 
+      <AnimatePresence>
+        {gameState.savedRun && (
+          <GameOverlay
+            initial={{ opacity: 0 }}
+            animate={{ opacity: 1 }}
+            exit={{ opacity: 0 }}
+            transition={{ duration: 0.3 }}
+          >
+            <GameMessage
+              initial={{ scale: 0.8, opacity: 0 }}
+              animate={{ scale: 1, opacity: 1 }}
+              exit={{ scale: 0.8, opacity: 0 }}
+              transition={{ duration: 0.3 }}
+            >
+              <h2>Welcome Back</h2>
+              <p>Pick up your last run where you left it?</p>
+              <Button
+                onClick={handleContinueRun}
+                whileHover={{ scale: 1.05 }}
+                whileTap={{ scale: 0.95 }}
+              >
+                Continue Run
+              </Button>
+              <Button
+                onClick={handleNewRun}
+                whileHover={{ scale: 1.05 }}
+                whileTap={{ scale: 0.95 }}
+                style={{ marginLeft: 10 }}
+              >
+                New Game
+              </Button>
+            </GameMessage>
+          </GameOverlay>
+        )}
+      </AnimatePresence>
+
+      <AnimatePresence>
+        {gameState.paused && (
+          <GameOverlay
+            initial={{ opacity: 0 }}
+            animate={{ opacity: 1 }}
+            exit={{ opacity: 0 }}
+            transition={{ duration: 0.3 }}
+          >
+            <GameMessage
+              initial={{ scale: 0.8, opacity: 0 }}
+              animate={{ scale: 1, opacity: 1 }}
+              exit={{ scale: 0.8, opacity: 0 }}
+              transition={{ duration: 0.3 }}
+            >
+              <h2>Paused</h2>
+              <p>Press P or Esc to carry on.</p>
+              <Button
+                onClick={() => gameEngineRef.current.resume()}
+                whileHover={{ scale: 1.05 }}
+                whileTap={{ scale: 0.95 }}
+              >
+                Resume
+              </Button>
+            </GameMessage>
+          </GameOverlay>
+        )}
+      </AnimatePresence>
+
+      <AnimatePresence>
+        {gameState.campaignComplete && !gameState.replay && (
+          <GameOverlay
+            initial={{ opacity: 0 }}
+            animate={{ opacity: 1 }}
+            exit={{ opacity: 0 }}
+            transition={{ duration: 0.3 }}
+          >
+            <GameMessage
+              initial={{ scale: 0.8, opacity: 0 }}
+              animate={{ scale: 1, opacity: 1 }}
+              exit={{ scale: 0.8, opacity: 0 }}
+              transition={{ duration: 0.3 }}
+            >
+              <h2>{isPlaytest ? 'Level Complete' : 'Campaign Complete'}</h2>
+              <RunRecord record={gameState.runRecord} />
+              <p>
+                {isPlaytest
+                  ? 'Your level can be beaten.'
+                  : `You cleared every level of ${trainingCampaign.name}!`}
+              </p>
+              <Button
+                onClick={() => handleFullRestart()}
+                whileHover={{ scale: 1.05 }}
+                whileTap={{ scale: 0.95 }}
+              >
+                Play Again
+              </Button>
+              {isPlaytest && (
+                <Button
+                  onClick={onExitPlaytest}
+                  whileHover={{ scale: 1.05 }}
+                  whileTap={{ scale: 0.95 }}
+                  style={{ marginLeft: 10 }}
+                >
+                  Back to Editor
+                </Button>
+              )}
+            </GameMessage>
+          </GameOverlay>
+        )}
+      </AnimatePresence>
+
       <AnimatePresence>
         {gameState.isTransitioning && (
           <LevelTransition
@@ -304,6 +706,23 @@ const Game = () => {
           </LevelTransition>
         )}
       </AnimatePresence>
+
+      <Toasts>
+        <AnimatePresence>
+          {toasts.map(achievement => (
+            <Toast
+              key={achievement.id}
+              initial={{ opacity: 0, x: 50 }}
+              animate={{ opacity: 1, x: 0 }}
+              exit={{ opacity: 0, x: 50 }}
+              transition={{ duration: 0.3 }}
+            >
+              <strong>Achievement unlocked: {achievement.name}</strong>
+              {achievement.description}
+            </Toast>
+          ))}
+        </AnimatePresence>
+      </Toasts>
     </GameContainer>
   );
 };
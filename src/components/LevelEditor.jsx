@@ -0,0 +1,1027 @@
+import React, { useEffect, useMemo, useRef, useState } from 'react';
+import styled from '@emotion/styled';
+import { motion } from 'framer-motion';
+import { SUPER_POWERS, OBSTACLE_COLORS, PICKUP_RADIUS } from '../game/simulation';
+import { SHAPES, SHAPE_TYPES } from '../game/shapes';
+import {
+  parseLevel,
+  loadSavedLevels,
+  saveLevelDefinition,
+  deleteSavedLevel,
+  DEFAULT_WALL_THICKNESS
+} from '../game/levels';
+import { WALL_COLOR, segmentToPolygon, pointInPolygon } from '../game/walls';
+import { BEHAVIORS, DEFAULT_ORBIT_RADIUS, DEFAULT_TRIGGER_RADIUS } from '../game/behaviors';
+import { START_STATES } from '../game/obstacleStates';
+import { drawShape, drawPickup } from '../game/drawShape';
+import { drawWalls } from '../game/drawWalls';
+
+const CANVAS_WIDTH = 800;
+const CANVAS_HEIGHT = 600;
+const HANDLE_RADIUS = 8;
+const DRAFT_KEY = 'lifeEscape.editor.draft';
+
+const EditorContainer = styled.div`
+  display: flex;
+  align-items: flex-start;
+  justify-content: center;
+  gap: 20px;
+  height: 100vh;
+  width: 100vw;
+  overflow: auto;
+  padding: 20px;
+  background: linear-gradient(135deg, #1a1a2e 0%, #16213e 100%);
+  color: white;
+  font-family: 'Inter', sans-serif;
+  position: fixed;
+  top: 0;
+  left: 0;
+`;
+
+const CanvasColumn = styled.div`
+  display: flex;
+  flex-direction: column;
+  gap: 12px;
+`;
+
+const EditorCanvas = styled.canvas`
+  border-radius: 20px;
+  box-shadow: 0 10px 30px rgba(0, 0, 0, 0.3);
+  background: white;
+  width: 800px;
+  height: 600px;
+  cursor: crosshair;
+`;
+
+const Palette = styled.div`
+  display: flex;
+  flex-wrap: wrap;
+  gap: 6px;
+  max-width: 800px;
+`;
+
+const Panel = styled.div`
+  width: 300px;
+  display: flex;
+  flex-direction: column;
+  gap: 12px;
+`;
+
+const Section = styled.div`
+  background: rgba(255, 255, 255, 0.1);
+  backdrop-filter: blur(10px);
+  padding: 15px;
+  border-radius: 15px;
+  box-shadow: 0 4px 15px rgba(0, 0, 0, 0.2);
+  display: flex;
+  flex-direction: column;
+  gap: 8px;
+`;
+
+const SectionTitle = styled.h3`
+  font-size: 1rem;
+  font-weight: 600;
+  color: #B0E0E6;
+`;
+
+const Field = styled.label`
+  display: flex;
+  align-items: center;
+  justify-content: space-between;
+  gap: 10px;
+  font-size: 0.9rem;
+
+  input[type='number'], input[type='text'], select {
+    width: 120px;
+    background: rgba(255, 255, 255, 0.9);
+    border: none;
+    border-radius: 6px;
+    padding: 4px 6px;
+    color: #1a1a2e;
+  }
+
+  input[type='range'] {
+    width: 120px;
+    accent-color: #87CEEB;
+  }
+`;
+
+const ToolButton = styled(motion.button)`
+  background: rgba(255, 255, 255, 0.1);
+  color: white;
+  border: 2px solid rgba(255, 255, 255, 0.2);
+  padding: 6px 12px;
+  border-radius: 10px;
+  font-size: 0.85rem;
+  font-weight: 500;
+  cursor: pointer;
+
+  &:hover:not(:disabled) {
+    background: rgba(255, 255, 255, 0.2);
+    border-color: rgba(255, 255, 255, 0.3);
+  }
+
+  &:disabled {
+    opacity: 0.4;
+    cursor: not-allowed;
+  }
+`;
+
+const PlayButton = styled(ToolButton)`
+  background: linear-gradient(45deg, #4CAF50, #45a049);
+  border-color: transparent;
+  font-size: 1rem;
+`;
+
+const ButtonRow = styled.div`
+  display: flex;
+  flex-wrap: wrap;
+  gap: 6px;
+`;
+
+const StatusText = styled.p`
+  font-size: 0.85rem;
+  color: ${props => (props.error ? '#FF8C66' : '#B0E0E6')};
+  word-break: break-word;
+`;
+
+const createDefaultLevel = () => ({
+  name: 'Untitled',
+  entrance: { x: 0, y: 250, width: 20, height: 100 },
+  exit: { x: 780, y: 250, width: 20, height: 100 },
+  obstacles: [],
+  pickups: [],
+  walls: [],
+  winConditions: [{ type: 'reachExit' }]
+});
+
+// Fills in the lists the editor works on. Levels made before pickups listed
+// power shapes under `superPowers`; they become pickups where the shape was.
+const withDefaults = ({ superPowers = [], ...definition }) => ({
+  obstacles: [],
+  walls: [],
+  winConditions: [{ type: 'reachExit' }],
+  ...definition,
+  pickups: [...(definition.pickups || []), ...superPowers.map(({ power, x, y }) => ({ power, x, y }))]
+});
+
+const loadDraft = () => {
+  try {
+    const draft = JSON.parse(window.localStorage.getItem(DRAFT_KEY));
+    return draft ? withDefaults(draft) : createDefaultLevel();
+  } catch (error) {
+    return createDefaultLevel();
+  }
+};
+
+// Fields a new obstacle starts with
+const createMover = (extra) => ({
+  x: CANVAS_WIDTH / 2,
+  y: CANVAS_HEIGHT / 2,
+  size: 40,
+  color: OBSTACLE_COLORS[0].base,
+  chaseAccuracy: 0.75,
+  blindChance: 0.3,
+  blindDurationRange: { min: 1000, max: 3000 },
+  rotation: 0,
+  rotationSpeed: 0,
+  ...extra
+});
+
+// Items addressable on the canvas: obstacles, pickups, walls and the two portals
+const getItem = (level, selection) => {
+  if (!selection) return null;
+  if (selection.kind === 'entrance' || selection.kind === 'exit') return level[selection.kind];
+  return level[selection.kind][selection.index] || null;
+};
+
+const updateItem = (level, selection, changes) => {
+  if (selection.kind === 'entrance' || selection.kind === 'exit') {
+    return { ...level, [selection.kind]: { ...level[selection.kind], ...changes } };
+  }
+  const list = level[selection.kind].slice();
+  list[selection.index] = { ...list[selection.index], ...changes };
+  return { ...level, [selection.kind]: list };
+};
+
+// Behavior the game will give an obstacle, falling back to its shape's default
+const getBehavior = (item) => item.behavior || SHAPES[item.shape].behavior || 'chaser';
+
+const toDrawable = (item) => ({
+  ...item,
+  rotation: item.rotation || 0,
+  size: item.size || 40,
+  color: item.color || OBSTACLE_COLORS[0].base
+});
+
+const clamp = (value, min, max) => Math.max(min, Math.min(max, value));
+const round = (value) => Math.round(value * 100) / 100;
+
+// Outline of a wall definition as the game will collide with it
+const getWallPoints = (wall, extraThickness = 0) => (wall.type === 'segment'
+  ? segmentToPolygon(wall.x1, wall.y1, wall.x2, wall.y2, (wall.thickness || DEFAULT_WALL_THICKNESS) + extraThickness)
+  : wall.points);
+
+// Draggable corners of a wall: segment end points or polygon vertices
+const getWallVertices = (wall) => (wall.type === 'segment'
+  ? [{ x: wall.x1, y: wall.y1 }, { x: wall.x2, y: wall.y2 }]
+  : wall.points);
+
+const moveWallVertex = (wall, index, x, y) => {
+  if (wall.type === 'segment') {
+    return index === 0 ? { x1: x, y1: y } : { x2: x, y2: y };
+  }
+  const points = wall.points.slice();
+  points[index] = { x, y };
+  return { points };
+};
+
+// Translates a whole wall, keeping every corner inside the arena
+const moveWall = (wall, dx, dy) => {
+  const vertices = getWallVertices(wall);
+  const xs = vertices.map(vertex => vertex.x);
+  const ys = vertices.map(vertex => vertex.y);
+  const clampedX = Math.round(clamp(dx, -Math.min(...xs), CANVAS_WIDTH - Math.max(...xs)));
+  const clampedY = Math.round(clamp(dy, -Math.min(...ys), CANVAS_HEIGHT - Math.max(...ys)));
+
+  if (wall.type === 'segment') {
+    return {
+      x1: wall.x1 + clampedX,
+      y1: wall.y1 + clampedY,
+      x2: wall.x2 + clampedX,
+      y2: wall.y2 + clampedY
+    };
+  }
+  return { points: wall.points.map(point => ({ x: point.x + clampedX, y: point.y + clampedY })) };
+};
+
+// Patrol route, orbit or trigger zone of the selected obstacle's behavior
+const drawBehaviorGuide = (ctx, level, item) => {
+  ctx.save();
+  ctx.strokeStyle = 'rgba(70, 130, 180, 0.6)';
+  ctx.fillStyle = '#4682B4';
+  ctx.setLineDash([4, 6]);
+  ctx.beginPath();
+  switch (getBehavior(item)) {
+    case 'patroller': {
+      const waypoints = item.waypoints || [];
+      waypoints.forEach((point, index) => (index === 0 ? ctx.moveTo(point.x, point.y) : ctx.lineTo(point.x, point.y)));
+      ctx.closePath();
+      ctx.stroke();
+      waypoints.forEach((point, index) => {
+        ctx.beginPath();
+        ctx.arc(point.x, point.y, HANDLE_RADIUS, 0, Math.PI * 2);
+        ctx.fill();
+        ctx.fillStyle = 'white';
+        ctx.font = '10px Inter, sans-serif';
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        ctx.fillText(index + 1, point.x, point.y);
+        ctx.fillStyle = '#4682B4';
+      });
+      break;
+    }
+    case 'orbiter':
+      ctx.arc(
+        level.exit.x + level.exit.width / 2,
+        level.exit.y + level.exit.height / 2,
+        item.orbitRadius || DEFAULT_ORBIT_RADIUS,
+        0,
+        Math.PI * 2
+      );
+      ctx.stroke();
+      break;
+    case 'ambusher':
+      ctx.arc(item.x, item.y, item.triggerRadius || DEFAULT_TRIGGER_RADIUS, 0, Math.PI * 2);
+      ctx.stroke();
+      break;
+    default:
+      break;
+  }
+  ctx.restore();
+};
+
+const toDrawableWall = (wall) => ({
+  color: wall.color || WALL_COLOR,
+  points: getWallPoints(wall)
+});
+
+// Handle positions in canvas space for a selected obstacle
+const getHandles = (item) => {
+  const rotation = item.rotation || 0;
+  const size = item.size || 40;
+  return {
+    rotate: {
+      x: item.x + Math.cos(rotation - Math.PI / 2) * (size + 25),
+      y: item.y + Math.sin(rotation - Math.PI / 2) * (size + 25)
+    },
+    resize: {
+      x: item.x + Math.cos(rotation) * size,
+      y: item.y + Math.sin(rotation) * size
+    }
+  };
+};
+
+const NumberField = ({ label, value, onChange, min, max, step = 1, range = false }) => (
+  <Field>
+    {label}
+    <input
+      type={range ? 'range' : 'number'}
+      value={value}
+      min={min}
+      max={max}
+      step={step}
+      onChange={(e) => onChange(Number(e.target.value))}
+    />
+  </Field>
+);
+
+const LevelEditor = ({ onPlaytest, onClose }) => {
+  const canvasRef = useRef(null);
+  const dragRef = useRef(null);
+  const fileInputRef = useRef(null);
+  const [level, setLevel] = useState(loadDraft);
+  const [selection, setSelection] = useState(null);
+  const [savedLevels, setSavedLevels] = useState(loadSavedLevels);
+  const [chosenSave, setChosenSave] = useState('');
+  const [status, setStatus] = useState(null);
+
+  const validation = useMemo(() => {
+    try {
+      return { level: parseLevel(level), error: null };
+    } catch (error) {
+      return { level: null, error: error.message };
+    }
+  }, [level]);
+
+  const selectedItem = getItem(level, selection);
+
+  // Keep a draft so switching to play-test and back loses nothing
+  useEffect(() => {
+    try {
+      window.localStorage.setItem(DRAFT_KEY, JSON.stringify(level));
+    } catch (error) {
+      // Storage unavailable; the draft only lives in memory
+    }
+  }, [level]);
+
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    const ctx = canvas.getContext('2d');
+    ctx.clearRect(0, 0, CANVAS_WIDTH, CANVAS_HEIGHT);
+
+    // Draw entrance protection zone
+    ctx.save();
+    ctx.globalAlpha = 0.05;
+    ctx.fillStyle = '#87CEEB';
+    ctx.beginPath();
+    ctx.arc(level.entrance.x, level.entrance.y + level.entrance.height / 2, 150, 0, Math.PI * 2);
+    ctx.fill();
+    ctx.restore();
+
+    // Draw walls under everything that moves
+    drawWalls(ctx, (level.walls || []).map(toDrawableWall));
+
+    // Draw portals
+    ['entrance', 'exit'].forEach(kind => {
+      const { x, y, width, height } = level[kind];
+      ctx.fillStyle = '#87CEEB';
+      ctx.fillRect(x, y, width, height);
+    });
+
+    // Draw pickups and obstacles
+    level.pickups.forEach(item => drawPickup(ctx, item));
+    level.obstacles.forEach(item => drawShape(ctx, toDrawable(item)));
+
+    // Draw selection outline and handles
+    if (selectedItem) {
+      ctx.save();
+      ctx.strokeStyle = '#1a1a2e';
+      ctx.lineWidth = 2;
+      ctx.setLineDash([6, 4]);
+      if (selection.kind === 'walls') {
+        const points = getWallPoints(selectedItem, 8);
+        ctx.beginPath();
+        points.forEach((point, index) => (index === 0 ? ctx.moveTo(point.x, point.y) : ctx.lineTo(point.x, point.y)));
+        ctx.closePath();
+        ctx.stroke();
+        ctx.setLineDash([]);
+        ctx.fillStyle = '#4682B4';
+        getWallVertices(selectedItem).forEach(vertex => {
+          ctx.fillRect(vertex.x - HANDLE_RADIUS / 2, vertex.y - HANDLE_RADIUS / 2, HANDLE_RADIUS, HANDLE_RADIUS);
+        });
+      } else if (selection.kind === 'entrance' || selection.kind === 'exit') {
+        ctx.strokeRect(selectedItem.x - 4, selectedItem.y - 4, selectedItem.width + 8, selectedItem.height + 8);
+        ctx.setLineDash([]);
+        ctx.fillStyle = '#4682B4';
+        ctx.fillRect(
+          selectedItem.x + selectedItem.width - HANDLE_RADIUS / 2,
+          selectedItem.y + selectedItem.height - HANDLE_RADIUS / 2,
+          HANDLE_RADIUS,
+          HANDLE_RADIUS
+        );
+      } else if (selection.kind === 'pickups') {
+        ctx.beginPath();
+        ctx.arc(selectedItem.x, selectedItem.y, PICKUP_RADIUS * 1.5, 0, Math.PI * 2);
+        ctx.stroke();
+      } else {
+        const handles = getHandles(selectedItem);
+        ctx.beginPath();
+        ctx.arc(selectedItem.x, selectedItem.y, (selectedItem.size || 40) * 1.2, 0, Math.PI * 2);
+        ctx.stroke();
+        ctx.setLineDash([]);
+        ctx.beginPath();
+        ctx.moveTo(selectedItem.x, selectedItem.y);
+        ctx.lineTo(handles.rotate.x, handles.rotate.y);
+        ctx.stroke();
+        ctx.fillStyle = '#4682B4';
+        ctx.beginPath();
+        ctx.arc(handles.rotate.x, handles.rotate.y, HANDLE_RADIUS, 0, Math.PI * 2);
+        ctx.fill();
+        ctx.fillRect(
+          handles.resize.x - HANDLE_RADIUS / 2,
+          handles.resize.y - HANDLE_RADIUS / 2,
+          HANDLE_RADIUS,
+          HANDLE_RADIUS
+        );
+        drawBehaviorGuide(ctx, level, selectedItem);
+      }
+      ctx.restore();
+    }
+  }, [level, selection, selectedItem]);
+
+  const getCanvasPoint = (e) => {
+    const rect = canvasRef.current.getBoundingClientRect();
+    return {
+      x: (e.clientX - rect.left) * (CANVAS_WIDTH / rect.width),
+      y: (e.clientY - rect.top) * (CANVAS_HEIGHT / rect.height)
+    };
+  };
+
+  // Topmost item under a point; small pickups win ties with the shapes
+  const hitTest = (point) => {
+    for (const kind of ['pickups', 'obstacles']) {
+      for (let index = level[kind].length - 1; index >= 0; index--) {
+        const item = level[kind][index];
+        const radius = kind === 'pickups' ? PICKUP_RADIUS : item.size || 40;
+        if (Math.hypot(point.x - item.x, point.y - item.y) <= radius) {
+          return { kind, index };
+        }
+      }
+    }
+    const walls = level.walls || [];
+    for (let index = walls.length - 1; index >= 0; index--) {
+      // Thin segments get a little slack so they are easy to grab
+      if (pointInPolygon(point.x, point.y, getWallPoints(walls[index], 10))) {
+        return { kind: 'walls', index };
+      }
+    }
+    for (const kind of ['entrance', 'exit']) {
+      const { x, y, width, height } = level[kind];
+      // Portals are thin, so give them a little slack
+      if (point.x >= x - 10 && point.x <= x + width + 10 && point.y >= y && point.y <= y + height) {
+        return { kind };
+      }
+    }
+    return null;
+  };
+
+  const handleMouseDown = (e) => {
+    const point = getCanvasPoint(e);
+
+    if (selectedItem) {
+      const isPortal = selection.kind === 'entrance' || selection.kind === 'exit';
+      if (selection.kind === 'walls') {
+        const vertex = getWallVertices(selectedItem).findIndex(corner =>
+          Math.hypot(point.x - corner.x, point.y - corner.y) <= HANDLE_RADIUS
+        );
+        if (vertex !== -1) {
+          dragRef.current = { mode: 'vertex', vertex };
+          return;
+        }
+      } else if (isPortal) {
+        const corner = { x: selectedItem.x + selectedItem.width, y: selectedItem.y + selectedItem.height };
+        if (Math.hypot(point.x - corner.x, point.y - corner.y) <= HANDLE_RADIUS) {
+          dragRef.current = { mode: 'resizePortal' };
+          return;
+        }
+      } else if (selection.kind === 'obstacles') {
+        const waypoint = getBehavior(selectedItem) === 'patroller'
+          ? (selectedItem.waypoints || []).findIndex(corner =>
+            Math.hypot(point.x - corner.x, point.y - corner.y) <= HANDLE_RADIUS
+          )
+          : -1;
+        if (waypoint !== -1) {
+          dragRef.current = { mode: 'waypoint', waypoint };
+          return;
+        }
+
+        const handles = getHandles(selectedItem);
+        if (Math.hypot(point.x - handles.rotate.x, point.y - handles.rotate.y) <= HANDLE_RADIUS) {
+          dragRef.current = { mode: 'rotate' };
+          return;
+        }
+        if (Math.hypot(point.x - handles.resize.x, point.y - handles.resize.y) <= HANDLE_RADIUS) {
+          dragRef.current = { mode: 'resize' };
+          return;
+        }
+      }
+    }
+
+    const hit = hitTest(point);
+    setSelection(hit);
+    if (hit && hit.kind === 'walls') {
+      dragRef.current = { mode: 'moveWall', origin: point, wall: getItem(level, hit) };
+    } else if (hit) {
+      const item = getItem(level, hit);
+      dragRef.current = { mode: 'move', offsetX: point.x - item.x, offsetY: point.y - item.y };
+    }
+  };
+
+  const handleMouseMove = (e) => {
+    const drag = dragRef.current;
+    if (!drag || !selectedItem) return;
+    const point = getCanvasPoint(e);
+
+    switch (drag.mode) {
+      case 'move': {
+        const isPortal = selection.kind === 'entrance' || selection.kind === 'exit';
+        const maxX = isPortal ? CANVAS_WIDTH - selectedItem.width : CANVAS_WIDTH;
+        const maxY = isPortal ? CANVAS_HEIGHT - selectedItem.height : CANVAS_HEIGHT;
+        setLevel(prev => updateItem(prev, selection, {
+          x: Math.round(clamp(point.x - drag.offsetX, 0, maxX)),
+          y: Math.round(clamp(point.y - drag.offsetY, 0, maxY))
+        }));
+        break;
+      }
+      case 'moveWall':
+        setLevel(prev => updateItem(prev, selection, moveWall(drag.wall, point.x - drag.origin.x, point.y - drag.origin.y)));
+        break;
+      case 'vertex':
+        setLevel(prev => updateItem(prev, selection, moveWallVertex(
+          selectedItem,
+          drag.vertex,
+          Math.round(clamp(point.x, 0, CANVAS_WIDTH)),
+          Math.round(clamp(point.y, 0, CANVAS_HEIGHT))
+        )));
+        break;
+      case 'waypoint': {
+        const waypoints = selectedItem.waypoints.slice();
+        waypoints[drag.waypoint] = {
+          x: Math.round(clamp(point.x, 0, CANVAS_WIDTH)),
+          y: Math.round(clamp(point.y, 0, CANVAS_HEIGHT))
+        };
+        setLevel(prev => updateItem(prev, selection, { waypoints }));
+        break;
+      }
+      case 'rotate':
+        setLevel(prev => updateItem(prev, selection, {
+          rotation: round(Math.atan2(point.y - selectedItem.y, point.x - selectedItem.x) + Math.PI / 2)
+        }));
+        break;
+      case 'resize':
+        setLevel(prev => updateItem(prev, selection, {
+          size: Math.round(clamp(Math.hypot(point.x - selectedItem.x, point.y - selectedItem.y), 5, 200))
+        }));
+        break;
+      case 'resizePortal':
+        setLevel(prev => updateItem(prev, selection, {
+          width: Math.round(clamp(point.x - selectedItem.x, 1, CANVAS_WIDTH - selectedItem.x)),
+          height: Math.round(clamp(point.y - selectedItem.y, 1, CANVAS_HEIGHT - selectedItem.y))
+        }));
+        break;
+      default:
+        break;
+    }
+  };
+
+  const handleMouseUp = () => {
+    dragRef.current = null;
+  };
+
+  const addObstacle = (shape) => {
+    setLevel(prev => ({ ...prev, obstacles: [...prev.obstacles, createMover({ shape })] }));
+    setSelection({ kind: 'obstacles', index: level.obstacles.length });
+  };
+
+  const addPickup = (power) => {
+    setLevel(prev => ({
+      ...prev,
+      pickups: [...prev.pickups, { power, x: CANVAS_WIDTH / 2, y: CANVAS_HEIGHT / 2 }]
+    }));
+    setSelection({ kind: 'pickups', index: level.pickups.length });
+  };
+
+  // New walls start in the middle of the arena: a bar or a square block
+  const addWall = (type) => {
+    const wall = type === 'segment'
+      ? { type, x1: 300, y1: 300, x2: 500, y2: 300, thickness: DEFAULT_WALL_THICKNESS, color: WALL_COLOR }
+      : {
+        type,
+        color: WALL_COLOR,
+        points: [{ x: 370, y: 270 }, { x: 430, y: 270 }, { x: 430, y: 330 }, { x: 370, y: 330 }]
+      };
+    setLevel(prev => ({ ...prev, walls: [...(prev.walls || []), wall] }));
+    setSelection({ kind: 'walls', index: (level.walls || []).length });
+  };
+
+  // Patrollers need a route, so switching to one starts with a short patrol
+  const changeBehavior = (behavior) => {
+    const changes = { behavior };
+    if (behavior === 'patroller' && !(selectedItem.waypoints && selectedItem.waypoints.length >= 2)) {
+      changes.waypoints = [
+        { x: Math.round(selectedItem.x), y: Math.round(selectedItem.y) },
+        { x: Math.round(clamp(selectedItem.x + 150, 0, CANVAS_WIDTH)), y: Math.round(selectedItem.y) }
+      ];
+    }
+    changeSelected(changes);
+  };
+
+  const addWaypoint = () => {
+    const waypoints = selectedItem.waypoints;
+    const last = waypoints[waypoints.length - 1];
+    changeSelected({
+      waypoints: [...waypoints, { x: Math.round(clamp(last.x + 50, 0, CANVAS_WIDTH)), y: Math.round(clamp(last.y + 50, 0, CANVAS_HEIGHT)) }]
+    });
+  };
+
+  const removeWaypoint = () => {
+    changeSelected({ waypoints: selectedItem.waypoints.slice(0, -1) });
+  };
+
+  const removeSelected = () => {
+    if (!selection || selection.kind === 'entrance' || selection.kind === 'exit') return;
+    setLevel(prev => ({
+      ...prev,
+      [selection.kind]: prev[selection.kind].filter((item, index) => index !== selection.index)
+    }));
+    setSelection(null);
+  };
+
+  const changeSelected = (changes) => {
+    setLevel(prev => updateItem(prev, selection, changes));
+  };
+
+  // Win conditions are edited as toggles; surviveTime also keeps its seconds
+  const getWinCondition = (type) => (level.winConditions || []).find(condition => condition.type === type);
+
+  const toggleWinCondition = (type, enabled) => {
+    setLevel(prev => {
+      const others = (prev.winConditions || []).filter(condition => condition.type !== type);
+      const condition = type === 'surviveTime' ? { type, seconds: 10 } : { type };
+      return { ...prev, winConditions: enabled ? [...others, condition] : others };
+    });
+  };
+
+  const setSurviveSeconds = (seconds) => {
+    setLevel(prev => ({
+      ...prev,
+      winConditions: prev.winConditions.map(condition =>
+        condition.type === 'surviveTime' ? { ...condition, seconds } : condition
+      )
+    }));
+  };
+
+  const handleSave = () => {
+    const name = level.name || 'Untitled';
+    try {
+      setSavedLevels(saveLevelDefinition(name, level));
+      setChosenSave(name);
+      setStatus({ text: `Saved "${name}"` });
+    } catch (error) {
+      setStatus({ text: `Could not save: ${error.message}`, error: true });
+    }
+  };
+
+  const handleLoad = () => {
+    if (!savedLevels[chosenSave]) return;
+    setLevel(withDefaults(savedLevels[chosenSave]));
+    setSelection(null);
+    setStatus({ text: `Loaded "${chosenSave}"` });
+  };
+
+  const handleDelete = () => {
+    if (!savedLevels[chosenSave]) return;
+    setSavedLevels(deleteSavedLevel(chosenSave));
+    setStatus({ text: `Deleted "${chosenSave}"` });
+    setChosenSave('');
+  };
+
+  const handleExport = () => {
+    const blob = new Blob([JSON.stringify(level, null, 2)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `${(level.name || 'level').replace(/\s+/g, '-').toLowerCase()}.json`;
+    link.click();
+    URL.revokeObjectURL(url);
+  };
+
+  const handleImport = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+
+    try {
+      const definition = JSON.parse(await file.text());
+      // Reject anything the game could not load before replacing the draft
+      parseLevel(definition);
+      setLevel(withDefaults(definition));
+      setSelection(null);
+      setStatus({ text: `Imported "${file.name}"` });
+    } catch (error) {
+      setStatus({ text: error.message, error: true });
+    }
+  };
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'Delete' || e.key === 'Backspace') {
+      removeSelected();
+    }
+  };
+
+  const buttonMotion = {
+    whileHover: { scale: 1.05 },
+    whileTap: { scale: 0.95 }
+  };
+
+  const isPortalSelected = selection && (selection.kind === 'entrance' || selection.kind === 'exit');
+  const surviveTime = getWinCondition('surviveTime');
+
+  return (
+    <EditorContainer>
+      <CanvasColumn>
+        <Palette>
+          {SHAPE_TYPES.map(shape => (
+            <ToolButton key={shape} onClick={() => addObstacle(shape)} {...buttonMotion}>
+              {SHAPES[shape].name}
+            </ToolButton>
+          ))}
+        </Palette>
+        <Palette>
+          {Object.entries(SUPER_POWERS).map(([power, { name, color }]) => (
+            <ToolButton
+              key={power}
+              onClick={() => addPickup(power)}
+              style={{ borderColor: color }}
+              {...buttonMotion}
+            >
+              + {name}
+            </ToolButton>
+          ))}
+          <ToolButton onClick={() => addWall('segment')} {...buttonMotion}>+ Wall</ToolButton>
+          <ToolButton onClick={() => addWall('polygon')} {...buttonMotion}>+ Block</ToolButton>
+        </Palette>
+        <EditorCanvas
+          ref={canvasRef}
+          width={CANVAS_WIDTH}
+          height={CANVAS_HEIGHT}
+          tabIndex={0}
+          onMouseDown={handleMouseDown}
+          onMouseMove={handleMouseMove}
+          onMouseUp={handleMouseUp}
+          onMouseLeave={handleMouseUp}
+          onKeyDown={handleKeyDown}
+        />
+      </CanvasColumn>
+
+      <Panel>
+        <Section>
+          <ButtonRow>
+            <PlayButton
+              onClick={() => onPlaytest(validation.level)}
+              disabled={!validation.level}
+              {...buttonMotion}
+            >
+              Play-test
+            </PlayButton>
+            <ToolButton onClick={onClose} {...buttonMotion}>Back to Game</ToolButton>
+          </ButtonRow>
+          {validation.error
+            ? <StatusText error>{validation.error}</StatusText>
+            : <StatusText>Level is valid</StatusText>}
+        </Section>
+
+        <Section>
+          <SectionTitle>Level</SectionTitle>
+          <Field>
+            Name
+            <input
+              type="text"
+              value={level.name || ''}
+              onChange={(e) => setLevel(prev => ({ ...prev, name: e.target.value }))}
+            />
+          </Field>
+          <Field>
+            Reach exit
+            <input
+              type="checkbox"
+              checked={Boolean(getWinCondition('reachExit'))}
+              onChange={(e) => toggleWinCondition('reachExit', e.target.checked)}
+            />
+          </Field>
+          <Field>
+            Survive for a time
+            <input
+              type="checkbox"
+              checked={Boolean(surviveTime)}
+              onChange={(e) => toggleWinCondition('surviveTime', e.target.checked)}
+            />
+          </Field>
+          {surviveTime && (
+            <NumberField label="Seconds" value={surviveTime.seconds} min={0} onChange={setSurviveSeconds} />
+          )}
+          <Field>
+            Eliminate all shapes
+            <input
+              type="checkbox"
+              checked={Boolean(getWinCondition('eliminateAll'))}
+              onChange={(e) => toggleWinCondition('eliminateAll', e.target.checked)}
+            />
+          </Field>
+        </Section>
+
+        {selectedItem && isPortalSelected && (
+          <Section>
+            <SectionTitle>{selection.kind === 'entrance' ? 'Entrance' : 'Exit'}</SectionTitle>
+            <NumberField label="X" value={selectedItem.x} min={0} max={CANVAS_WIDTH}
+              onChange={(x) => changeSelected({ x })} />
+            <NumberField label="Y" value={selectedItem.y} min={0} max={CANVAS_HEIGHT}
+              onChange={(y) => changeSelected({ y })} />
+            <NumberField label="Width" value={selectedItem.width} min={1} max={CANVAS_WIDTH}
+              onChange={(width) => changeSelected({ width })} />
+            <NumberField label="Height" value={selectedItem.height} min={1} max={CANVAS_HEIGHT}
+              onChange={(height) => changeSelected({ height })} />
+          </Section>
+        )}
+
+        {selectedItem && selection.kind === 'walls' && (
+          <Section>
+            <SectionTitle>{selectedItem.type === 'segment' ? 'Wall' : 'Block'}</SectionTitle>
+            <Field>
+              Color
+              <input
+                type="color"
+                value={selectedItem.color || WALL_COLOR}
+                onChange={(e) => changeSelected({ color: e.target.value.toUpperCase() })}
+              />
+            </Field>
+            {selectedItem.type === 'segment' ? (
+              <>
+                <NumberField label="X1" value={selectedItem.x1} min={0} max={CANVAS_WIDTH}
+                  onChange={(x1) => changeSelected({ x1 })} />
+                <NumberField label="Y1" value={selectedItem.y1} min={0} max={CANVAS_HEIGHT}
+                  onChange={(y1) => changeSelected({ y1 })} />
+                <NumberField label="X2" value={selectedItem.x2} min={0} max={CANVAS_WIDTH}
+                  onChange={(x2) => changeSelected({ x2 })} />
+                <NumberField label="Y2" value={selectedItem.y2} min={0} max={CANVAS_HEIGHT}
+                  onChange={(y2) => changeSelected({ y2 })} />
+                <NumberField label="Thickness" value={selectedItem.thickness || DEFAULT_WALL_THICKNESS}
+                  min={2} max={200} onChange={(thickness) => changeSelected({ thickness })} />
+              </>
+            ) : (
+              <StatusText>Drag the corners to reshape the block.</StatusText>
+            )}
+            <ToolButton onClick={removeSelected} {...buttonMotion}>Delete</ToolButton>
+          </Section>
+        )}
+
+        {selectedItem && selection.kind === 'pickups' && (
+          <Section>
+            <SectionTitle>Pickup</SectionTitle>
+            <Field>
+              Power
+              <select value={selectedItem.power} onChange={(e) => changeSelected({ power: e.target.value })}>
+                {Object.entries(SUPER_POWERS).map(([power, { name }]) => (
+                  <option key={power} value={power}>{name}</option>
+                ))}
+              </select>
+            </Field>
+            <NumberField label="Vanishes after (ms, 0 = never)" value={selectedItem.lifetime || 0} min={0} step={500}
+              onChange={(lifetime) => changeSelected({ lifetime: lifetime > 0 ? lifetime : undefined })} />
+            <ToolButton onClick={removeSelected} {...buttonMotion}>Delete</ToolButton>
+          </Section>
+        )}
+
+        {selectedItem && selection.kind === 'obstacles' && (
+          <Section>
+            <SectionTitle>Obstacle</SectionTitle>
+            <Field>
+              Shape
+              <select value={selectedItem.shape} onChange={(e) => changeSelected({ shape: e.target.value })}>
+                {SHAPE_TYPES.map(shape => <option key={shape} value={shape}>{SHAPES[shape].name}</option>)}
+              </select>
+            </Field>
+            <Field>
+              Behavior
+              <select value={getBehavior(selectedItem)} onChange={(e) => changeBehavior(e.target.value)}>
+                {Object.entries(BEHAVIORS).map(([behavior, { name }]) => (
+                  <option key={behavior} value={behavior}>{name}</option>
+                ))}
+              </select>
+            </Field>
+            {getBehavior(selectedItem) === 'patroller' && (
+              <ButtonRow>
+                <ToolButton onClick={addWaypoint} {...buttonMotion}>+ Waypoint</ToolButton>
+                <ToolButton
+                  onClick={removeWaypoint}
+                  disabled={(selectedItem.waypoints || []).length <= 2}
+                  {...buttonMotion}
+                >
+                  - Waypoint
+                </ToolButton>
+              </ButtonRow>
+            )}
+            {getBehavior(selectedItem) === 'orbiter' && (
+              <NumberField label="Orbit radius" value={selectedItem.orbitRadius || DEFAULT_ORBIT_RADIUS} min={20}
+                onChange={(orbitRadius) => changeSelected({ orbitRadius })} />
+            )}
+            {getBehavior(selectedItem) === 'ambusher' && (
+              <NumberField label="Trigger radius" value={selectedItem.triggerRadius || DEFAULT_TRIGGER_RADIUS} min={10}
+                onChange={(triggerRadius) => changeSelected({ triggerRadius })} />
+            )}
+            <Field>
+              Color
+              <input
+                type="color"
+                value={selectedItem.color || OBSTACLE_COLORS[0].base}
+                onChange={(e) => changeSelected({ color: e.target.value.toUpperCase() })}
+              />
+            </Field>
+            <NumberField label="Size" value={selectedItem.size} min={5} max={200}
+              onChange={(size) => changeSelected({ size })} />
+            <NumberField label="Rotation (deg)" value={Math.round((selectedItem.rotation || 0) * 180 / Math.PI)}
+              onChange={(degrees) => changeSelected({ rotation: round(degrees * Math.PI / 180) })} />
+            <NumberField label="Spin speed" value={selectedItem.rotationSpeed} min={-0.1} max={0.1} step={0.005}
+              onChange={(rotationSpeed) => changeSelected({ rotationSpeed })} />
+            <NumberField label={`Chase accuracy ${selectedItem.chaseAccuracy}`} value={selectedItem.chaseAccuracy}
+              min={0} max={1} step={0.05} range onChange={(chaseAccuracy) => changeSelected({ chaseAccuracy })} />
+            <NumberField label={`Blind chance/s ${selectedItem.blindChance}`} value={selectedItem.blindChance}
+              min={0} max={1} step={0.05} range onChange={(blindChance) => changeSelected({ blindChance })} />
+            <NumberField label="Blind min (ms)" value={selectedItem.blindDurationRange.min} min={0} step={100}
+              onChange={(min) => changeSelected({ blindDurationRange: { ...selectedItem.blindDurationRange, min } })} />
+            <NumberField label="Blind max (ms)" value={selectedItem.blindDurationRange.max} min={0} step={100}
+              onChange={(max) => changeSelected({ blindDurationRange: { ...selectedItem.blindDurationRange, max } })} />
+            <Field>
+              Start state
+              <select
+                value={selectedItem.startState || 'hunting'}
+                onChange={(e) => changeSelected(e.target.value === 'hunting'
+                  ? { startState: undefined, startStateDuration: undefined }
+                  : { startState: e.target.value, startStateDuration: selectedItem.startStateDuration ?? 2000 })}
+              >
+                {START_STATES.map(state => <option key={state} value={state}>{state}</option>)}
+              </select>
+            </Field>
+            {selectedItem.startState && (
+              <NumberField label="Duration (ms)" value={selectedItem.startStateDuration ?? 2000} min={0} step={100}
+                onChange={(startStateDuration) => changeSelected({ startStateDuration })} />
+            )}
+            <ToolButton onClick={removeSelected} {...buttonMotion}>Delete</ToolButton>
+          </Section>
+        )}
+
+        <Section>
+          <SectionTitle>Storage</SectionTitle>
+          <ButtonRow>
+            <ToolButton onClick={handleSave} {...buttonMotion}>Save</ToolButton>
+            <ToolButton
+              onClick={() => {
+                setLevel(createDefaultLevel());
+                setSelection(null);
+              }}
+              {...buttonMotion}
+            >
+              New
+            </ToolButton>
+          </ButtonRow>
+          <Field>
+            Saved
+            <select value={chosenSave} onChange={(e) => setChosenSave(e.target.value)}>
+              <option value="">Choose a level</option>
+              {Object.keys(savedLevels).map(name => <option key={name} value={name}>{name}</option>)}
+            </select>
+          </Field>
+          <ButtonRow>
+            <ToolButton onClick={handleLoad} disabled={!chosenSave} {...buttonMotion}>Load</ToolButton>
+            <ToolButton onClick={handleDelete} disabled={!chosenSave} {...buttonMotion}>Delete</ToolButton>
+          </ButtonRow>
+          <ButtonRow>
+            <ToolButton onClick={handleExport} {...buttonMotion}>Export JSON</ToolButton>
+            <ToolButton onClick={() => fileInputRef.current.click()} {...buttonMotion}>Import JSON</ToolButton>
+            <input
+              ref={fileInputRef}
+              type="file"
+              accept=".json,application/json"
+              style={{ display: 'none' }}
+              onChange={handleImport}
+            />
+          </ButtonRow>
+          {status && <StatusText error={status.error}>{status.text}</StatusText>}
+        </Section>
+      </Panel>
+    </EditorContainer>
+  );
+};
+
+export default LevelEditor;
@@ -0,0 +1,138 @@
+import React, { useRef } from 'react';
+import styled from '@emotion/styled';
+import { motion } from 'framer-motion';
+
+const ControlBar = styled(motion.div)`
+  display: flex;
+  align-items: center;
+  gap: 12px;
+  background: rgba(255, 255, 255, 0.1);
+  backdrop-filter: blur(10px);
+  padding: 10px 20px;
+  border-radius: 15px;
+  box-shadow: 0 4px 15px rgba(0, 0, 0, 0.2);
+`;
+
+const ControlButton = styled(motion.button)`
+  background: rgba(255, 255, 255, 0.1);
+  color: white;
+  border: 2px solid rgba(255, 255, 255, 0.2);
+  padding: 6px 14px;
+  border-radius: 10px;
+  font-size: 0.95rem;
+  font-weight: 500;
+  cursor: pointer;
+  min-width: 64px;
+
+  &:hover {
+    background: rgba(255, 255, 255, 0.2);
+    border-color: rgba(255, 255, 255, 0.3);
+  }
+`;
+
+const Scrubber = styled.input`
+  width: 260px;
+  accent-color: #87CEEB;
+`;
+
+const FrameLabel = styled.span`
+  font-size: 0.9rem;
+  color: #B0E0E6;
+  font-variant-numeric: tabular-nums;
+  min-width: 110px;
+  text-align: right;
+`;
+
+const ErrorText = styled.span`
+  font-size: 0.9rem;
+  color: #FF8C66;
+`;
+
+// Export/import buttons during live play, playback controls while a replay is loaded
+const ReplayControls = ({
+  replay,
+  error,
+  onExport,
+  onImport,
+  onPlay,
+  onPause,
+  onStep,
+  onSpeedChange,
+  onSeek,
+  onExit
+}) => {
+  const fileInputRef = useRef(null);
+  const buttonMotion = {
+    whileHover: { scale: 1.05 },
+    whileTap: { scale: 0.95 }
+  };
+
+  const handleFileChange = (e) => {
+    const file = e.target.files[0];
+    // Allow importing the same file twice in a row
+    e.target.value = '';
+    if (file) onImport(file);
+  };
+
+  if (!replay) {
+    return (
+      <ControlBar
+        initial={{ opacity: 0, y: 20 }}
+        animate={{ opacity: 1, y: 0 }}
+        transition={{ duration: 0.3 }}
+      >
+        <ControlButton onClick={onExport} title="Download this run as a replay file" {...buttonMotion}>
+          Export Replay
+        </ControlButton>
+        <ControlButton onClick={() => fileInputRef.current.click()} {...buttonMotion}>
+          Import Replay
+        </ControlButton>
+        <input
+          ref={fileInputRef}
+          type="file"
+          accept=".json,application/json"
+          style={{ display: 'none' }}
+          onChange={handleFileChange}
+        />
+        {error && <ErrorText>{error}</ErrorText>}
+      </ControlBar>
+    );
+  }
+
+  return (
+    <ControlBar
+      initial={{ opacity: 0, y: 20 }}
+      animate={{ opacity: 1, y: 0 }}
+      transition={{ duration: 0.3 }}
+    >
+      {replay.paused ? (
+        <ControlButton onClick={onPlay} {...buttonMotion}>Play</ControlButton>
+      ) : (
+        <ControlButton onClick={onPause} {...buttonMotion}>Pause</ControlButton>
+      )}
+      <ControlButton onClick={onStep} title="Advance one frame" {...buttonMotion}>
+        Step
+      </ControlButton>
+      <ControlButton
+        onClick={() => onSpeedChange(replay.speed === 1 ? 2 : 1)}
+        title="Toggle playback speed"
+        {...buttonMotion}
+      >
+        {replay.speed}x
+      </ControlButton>
+      <Scrubber
+        type="range"
+        min={0}
+        max={replay.frameCount}
+        value={replay.frame}
+        onChange={(e) => onSeek(Number(e.target.value))}
+      />
+      <FrameLabel>
+        {replay.frame} / {replay.frameCount}
+      </FrameLabel>
+      <ControlButton onClick={onExit} {...buttonMotion}>Exit Replay</ControlButton>
+    </ControlBar>
+  );
+};
+
+export default ReplayControls;
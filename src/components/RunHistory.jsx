@@ -0,0 +1,182 @@
+import React, { useState } from 'react';
+import styled from '@emotion/styled';
+import { motion } from 'framer-motion';
+import { loadRunHistory, highScores, runBoard, runBoards } from '../game/runHistory';
+
+const Panel = styled(motion.div)`
+  max-width: 760px;
+  margin: 0 auto 2rem;
+  padding: 20px 30px;
+  background: rgba(255, 255, 255, 0.1);
+  backdrop-filter: blur(10px);
+  border-radius: 20px;
+  box-shadow: 0 10px 30px rgba(0, 0, 0, 0.3);
+`;
+
+const Scores = styled.table`
+  width: 100%;
+  border-collapse: collapse;
+  font-variant-numeric: tabular-nums;
+
+  th, td {
+    padding: 8px;
+    text-align: right;
+    border-bottom: 1px solid rgba(255, 255, 255, 0.1);
+  }
+
+  th {
+    color: #B0E0E6;
+    font-weight: 500;
+  }
+`;
+
+const Chart = styled.svg`
+  width: 100%;
+  height: 200px;
+  background: rgba(0, 0, 0, 0.2);
+  border-radius: 10px;
+`;
+
+const Legend = styled.p`
+  color: #a0a0a0;
+  font-size: 0.9rem;
+
+  span {
+    margin-right: 16px;
+  }
+`;
+
+const ButtonRow = styled.div`
+  display: flex;
+  flex-wrap: wrap;
+  gap: 12px;
+  margin: 20px 0;
+`;
+
+const Button = styled(motion.button)`
+  background: rgba(255, 255, 255, 0.1);
+  color: white;
+  border: 2px solid rgba(255, 255, 255, 0.2);
+  padding: 8px 18px;
+  border-radius: 10px;
+  font-size: 1rem;
+  cursor: pointer;
+
+  /* The table being shown */
+  &:disabled {
+    background: rgba(135, 206, 235, 0.3);
+    cursor: default;
+  }
+`;
+
+const CHART_WIDTH = 700;
+const CHART_HEIGHT = 200;
+const CHART_PADDING = 10;
+
+const SCORE_COLOR = '#87CEEB';
+const BEST_COLOR = '#FFD700';
+
+// Score of every run in the order they were played, with the best score so
+// far drawn on top of it
+const ProgressChart = ({ runs }) => {
+  if (runs.length < 2) {
+    return <Legend>Play a few more runs to see your progress.</Legend>;
+  }
+
+  const maxScore = Math.max(1, ...runs.map(run => run.score));
+  const x = index => CHART_PADDING + index / (runs.length - 1) * (CHART_WIDTH - CHART_PADDING * 2);
+  const y = score => CHART_HEIGHT - CHART_PADDING - score / maxScore * (CHART_HEIGHT - CHART_PADDING * 2);
+
+  let best = 0;
+  const bestPoints = runs.map((run, index) => {
+    best = Math.max(best, run.score);
+    return `${x(index)},${y(best)}`;
+  });
+  const scorePoints = runs.map((run, index) => `${x(index)},${y(run.score)}`);
+
+  return (
+    <>
+      <Chart viewBox={`0 0 ${CHART_WIDTH} ${CHART_HEIGHT}`} preserveAspectRatio="none">
+        <polyline points={scorePoints.join(' ')} fill="none" stroke={SCORE_COLOR} strokeWidth="2" />
+        <polyline points={bestPoints.join(' ')} fill="none" stroke={BEST_COLOR} strokeWidth="2" strokeDasharray="6 4" />
+      </Chart>
+      <Legend>
+        <span style={{ color: SCORE_COLOR }}>Score per run</span>
+        <span style={{ color: BEST_COLOR }}>Best so far</span>
+        {runs.length} runs, best {maxScore}
+      </Legend>
+    </>
+  );
+};
+
+// High score table and progress chart for endless mode and each campaign
+const RunHistory = ({ onClose }) => {
+  const [history] = useState(loadRunHistory);
+  const boards = runBoards(history);
+  const [board, setBoard] = useState(boards[0]);
+
+  const runs = history.filter(run => runBoard(run) === board);
+  const scores = highScores(history, board);
+
+  const buttonMotion = {
+    whileHover: { scale: 1.05 },
+    whileTap: { scale: 0.95 }
+  };
+
+  return (
+    <Panel initial={{ opacity: 0, y: 20 }} animate={{ opacity: 1, y: 0 }}>
+      <h2>High Scores</h2>
+      {boards.length > 1 && (
+        <ButtonRow>
+          {boards.map(name => (
+            <Button key={name} disabled={name === board} onClick={() => setBoard(name)} {...buttonMotion}>
+              {name}
+            </Button>
+          ))}
+        </ButtonRow>
+      )}
+
+      {scores.length === 0 ? (
+        <Legend>No runs yet. Finish a run to get on the table.</Legend>
+      ) : (
+        <Scores>
+          <thead>
+            <tr>
+              <th>#</th>
+              <th>Score</th>
+              <th>Level</th>
+              <th>Time</th>
+              <th>Deaths</th>
+              <th>Powers</th>
+              <th>Seed</th>
+              <th>Date</th>
+            </tr>
+          </thead>
+          <tbody>
+            {scores.map((run, index) => (
+              <tr key={`${run.date}-${run.seed}`}>
+                <td>{index + 1}</td>
+                <td>{run.score}</td>
+                <td>{run.level}</td>
+                <td>{(run.time / 1000).toFixed(1)}s</td>
+                <td>{run.deaths}</td>
+                <td>{run.powersUsed}</td>
+                <td>{run.seed}</td>
+                <td>{new Date(run.date).toLocaleDateString()}</td>
+              </tr>
+            ))}
+          </tbody>
+        </Scores>
+      )}
+
+      <h3>Progress</h3>
+      <ProgressChart runs={runs} />
+
+      <ButtonRow>
+        <Button onClick={onClose} {...buttonMotion}>Back to Game</Button>
+      </ButtonRow>
+    </Panel>
+  );
+};
+
+export default RunHistory;
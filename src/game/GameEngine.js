@@ -1,27 +1,140 @@
+import {
+    createWorld,
+    stepWorld,
+    isInvulnerable,
+    powerSlotFor,
+    SUPER_POWERS,
+    POWER_SLOTS,
+    POWER_COOLDOWN,
+    MAGNET_REPEL_RADIUS,
+    TIME_STEP
+} from './simulation';
+import {
+    createRecording,
+    recordFrame,
+    createReplayWorld,
+    exportReplay
+} from './replay';
+import {
+    loadBestRun,
+    saveBestRun,
+    createGhostTrack,
+    recordGhostTick,
+    ghostPosition,
+    isBetterSplit
+} from './ghost';
+import {
+    serializeRun,
+    deserializeRun,
+    saveRun,
+    clearSavedRun,
+    snapshotWorld,
+    restoreWorld
+} from './savedRun';
+import { drawShape, drawHull, drawPickup, drawPowerIcon } from './drawShape';
+import { circleHitsObstacle } from './collision';
+import { drawWalls } from './drawWalls';
+import { stateProgress } from './obstacleStates';
+import { EventBus } from './eventBus';
+
+// Longest real time a single frame may advance the game by. After a tab
+// switch or a stall the game resumes where it was instead of racing through
+// every tick it missed.
+const MAX_FRAME_TIME = 250;
+
+// How long particles take to fade away, in simulated milliseconds
+const PARTICLE_LIFETIME = 800;
+
+// How long score popups float up before they are gone, in simulated milliseconds
+const POPUP_LIFETIME = 1000;
+const POPUP_RISE = 40;
+
+// Pickups flicker for this long before they vanish
+const PICKUP_WARNING_TIME = 2000;
+
+// A loaded replay keeps a copy of the world every this many frames, so a seek
+// only re-simulates from the closest copy before it
+const REPLAY_SNAPSHOT_INTERVAL = 600;
+
+// Keys the game handles itself, so the page must not scroll or press a
+// focused button with them
+const GAME_KEYS = ['ArrowUp', 'ArrowDown', 'ArrowLeft', 'ArrowRight', ' '];
+
+// What each kind of score popup says next to its points
+const SCORE_LABELS = {
+    nearMiss: 'Near miss',
+    eliminated: 'Eliminated',
+    shrunk: 'Shrunk',
+    levelClear: 'Level clear',
+    streak: 'No-death streak'
+};
+
+// Renders the simulation onto a canvas and feeds it keyboard and touch input.
+// All gameplay rules live in ./simulation; this class only reads the world.
+// The owner drives its lifecycle: start(), pause()/resume(), stop() and
+// finally destroy(), which removes every listener and cancels the loop.
+// Everything that happens is published on `events` (see ./eventBus).
 export class GameEngine {
-    constructor(canvas, callbacks) {
+    constructor(canvas, options = {}) {
         this.canvas = canvas;
         this.ctx = canvas.getContext('2d');
-        this.callbacks = callbacks;
-        
-        // Game state
-        this.level = 1;
-        this.gameOver = false;
-        this.success = false;
+        this.events = new EventBus();
+
+        // Simulation state
+        this.world = createWorld({
+            width: this.canvas.width,
+            height: this.canvas.height,
+            level: options.level,
+            seed: options.seed,
+            campaign: options.campaign,
+            lives: options.lives
+        });
+
+        // Every live run is recorded so it can be exported as a replay
+        this.recording = createRecording(this.world);
+        this.pendingCommand = null;
+        this.pendingPowerSlot = null;
+        this.pendingBlink = false;
+
+        // Playback state while a replay is loaded, null during live play
+        this.replay = null;
+
+        // Ghost of the personal best run, raced level by level. Play-tests of
+        // unsaved levels pass ghost: false so they neither race nor save one.
+        // The live run records its own track to store if it becomes the best.
+        this.racingGhost = options.ghost !== false;
+        this.loadGhost();
+        this.track = createGhostTrack(this.world);
+        this.levelStartTick = 0;
+
+        // The run is saved on pause and when the page goes away so it can be
+        // continued later; play-tests pass autosave: false
+        this.autosave = options.autosave !== false;
+        this.runComplete = false;
 
         // Initialize displays first
-        this.powerTimer = {
+        this.livesDisplay = {
+            x: 27,
+            y: 20,
+            radius: 7,
+            spacing: 20
+        };
+
+        // Inventory slots, followed by the running power's timer ring
+        this.powerSlots = {
             x: 20,
             y: 40,
-            width: 200,
-            height: 30
+            size: 44,
+            spacing: 8
         };
 
+        // One row per power
+        const legendHeight = 10 + Object.keys(SUPER_POWERS).length * 20;
         this.powerLegend = {
             x: 20,
-            y: this.canvas.height - 90,
+            y: this.canvas.height - legendHeight - 20,
             width: 150,
-            height: 70,
+            height: legendHeight,
             visible: true
         };
 
@@ -39,228 +152,283 @@ export class GameEngine {
             scale: 1.2
         };
 
-        // Initialize player power state
-        this.playerPower = {
-            active: false,
-            type: null,
-            endTime: 0,
-            timer: null,
-            hasPower: false,
-            affectedShapes: new Set() // Track shapes that have been affected by the power
-        };
-        
-        // Player properties
-        this.player = {
-            x: 50,
-            y: this.canvas.height / 2,
-            radius: 20,
-            color: '#87CEEB',
-            shape: 'circle',
-            speed: 8,
-            infected: false,
-            infectionProgress: 0,
-            trail: []
-        };
-
-        // Shape types with their properties
-        this.shapeTypes = [
-            'triangle', 'square', 'rectangle', 'ellipse', 'star',
-            'pentagon', 'hexagon', 'octagon', 'diamond', 'cross',
-            'heart', 'moon', 'cloud', 'lightning', 'spiral'
-        ];
-        
-        // Colors with their lighter variants
-        this.obstacleColors = [
-            { base: '#FF0000', light: '#FF6666' },
-            { base: '#FF4500', light: '#FF8C66' },
-            { base: '#FFA500', light: '#FFC266' },
-            { base: '#FFD700', light: '#FFE666' },
-            { base: '#FFFF00', light: '#FFFF66' },
-            { base: '#9ACD32', light: '#B8E666' },
-            { base: '#32CD32', light: '#66E666' },
-            { base: '#008000', light: '#66B866' }
-        ];
-
-        // Superpower properties
-        this.superPowers = {
-            'star': {
-                name: 'Shape Shifter',
-                duration: 5000,
-                color: '#FFD700', // Gold
-                effect: (shape) => {
-                    const now = Date.now();
-                    if (!this.shapeShifterCooldown.active || 
-                        now - this.shapeShifterCooldown.lastChange >= this.shapeShifterCooldown.cooldownTime) {
-                        const newShape = this.shapeTypes[Math.floor(Math.random() * this.shapeTypes.length)];
-                        shape.shape = newShape;
-                        this.shapeShifterCooldown.lastChange = now;
-                        this.shapeShifterCooldown.active = true;
-                    }
-                }
-            },
-            'star_eliminator': {
-                name: 'Shape Eliminator',
-                duration: 2000,
-                color: '#FF69B4', // Pink
-                effect: (shape) => {
-                    // Remove the shape from the obstacles array
-                    const index = this.obstacles.indexOf(shape);
-                    if (index > -1) {
-                        this.obstacles.splice(index, 1);
-                    }
-                }
-            },
-            'star_reducer': {
-                name: 'Size Reducer',
-                duration: 3000,
-                color: '#00FFFF', // Cyan
-                effect: (shape) => {
-                    shape.size *= 0.9;
-                    shape.size = Math.max(shape.size, this.minShapeSize);
-                }
-            }
+        this.splitDisplay = {
+            visible: false,
+            x: this.canvas.width - 20,
+            y: 40,
+            level: 0,
+            time: 0,
+            delta: null,
+            startTime: 0,
+            displayTime: 3000
         };
 
-        // Add physics properties
-        this.elasticity = 0.8; // Bounce factor
-        this.friction = 0.99; // Friction factor
-
-        // Add entrance protection properties
-        this.entranceProtectionRadius = 150; // Protection zone radius
-        this.entranceProtectionForce = 0.8; // Force to push obstacles away
-
-        // Add shrink factor and minimum size for shapes
-        this.shrinkFactor = 0.95; // Shapes will shrink to 95% of their size on collision
-        this.minShapeSize = this.player.radius * 0.5; // Minimum size is half of player's radius
-
-        // Game boundaries with fancy entrance and exit
-        this.entrance = {
-            x: 0,
-            y: this.canvas.height / 2 - 50,
-            width: 20,
-            height: 100,
-            color: '#87CEEB',
-            lightColor: '#B0E0E6'
-        };
-        
-        this.exit = {
-            x: this.canvas.width - 20,
-            y: this.canvas.height / 2 - 50,
-            width: 20,
-            height: 100,
-            color: '#87CEEB',
-            lightColor: '#B0E0E6'
+        // Walls never move, so they are drawn once per level into their own layer
+        this.wallLayer = {
+            canvas: document.createElement('canvas'),
+            walls: null
         };
+        this.wallLayer.canvas.width = this.canvas.width;
+        this.wallLayer.canvas.height = this.canvas.height;
 
-        // Initialize obstacles
-        this.obstacles = this.createInitialObstacles();
+        // Debug overlay outlining the collision hulls, toggled with H
+        this.showHulls = Boolean(options.showHulls);
 
-        // Particle effects
+        // Visual-only state
         this.particles = [];
-        
-        // Event listeners
+        this.popups = [];
+        this.trail = [];
+        this.infectionProgress = 0;
+
+        // Input state, filled in by the listeners added in start()
+        this.keys = {};
+        this.listeners = [];
+
+        // Loop state; nothing runs until start() is called
+        this.status = 'idle'; // 'idle', 'running', 'paused', 'stopped' or 'destroyed'
+        this.frameId = null;
+        this.frame = this.gameLoop.bind(this);
+        this.lastTime = 0;
+        this.accumulator = 0;
+        this.timeStep = TIME_STEP;
+    }
+
+    // Adds the input listeners and starts the game loop. A stopped engine can
+    // be started again; a paused one is resumed.
+    start() {
+        if (this.status === 'paused') {
+            this.resume();
+            return;
+        }
+        if (this.status !== 'idle' && this.status !== 'stopped') return;
+
         this.setupEventListeners();
-        
-        // Start game loop
+        this.status = 'running';
+        this.requestFrame();
+    }
+
+    // Subscribes to one of the GAME_EVENTS; returns a function that unsubscribes
+    on(type, listener) {
+        return this.events.on(type, listener);
+    }
+
+    // Freezes the game: no ticks run and no frames are drawn until resume()
+    pause() {
+        if (this.status !== 'running') return;
+
+        this.status = 'paused';
+        this.cancelFrame();
+        // Keys released while paused never report their keyup
+        this.keys = {};
+        this.saveRun();
+        this.events.emit('pause', { paused: true });
+    }
+
+    resume() {
+        if (this.status !== 'paused') return;
+
+        this.status = 'running';
+        this.requestFrame();
+        this.events.emit('pause', { paused: false });
+    }
+
+    togglePause() {
+        if (this.status === 'paused') this.resume();
+        else this.pause();
+    }
+
+    // Stops the loop and removes every listener; start() picks up again
+    stop() {
+        if (this.status !== 'running' && this.status !== 'paused') return;
+
+        this.cancelFrame();
+        this.removeEventListeners();
+        this.keys = {};
+        this.status = 'stopped';
+    }
+
+    // Stops for good and drops every subscriber so nothing reaches an
+    // unmounted component
+    destroy() {
+        this.stop();
+        this.status = 'destroyed';
+        this.events.clear();
+    }
+
+    requestFrame() {
+        // A fresh start must not count the time spent paused or stopped
         this.lastTime = 0;
         this.accumulator = 0;
-        this.timeStep = 1000 / 60; // 60 FPS
-        this.gameLoop(0);
-
-        // Add stuck detection properties
-        this.stuckTimer = 0;
-        this.stuckThreshold = 2000; // 2 seconds
-        this.lastPlayerPosition = { x: 0, y: 0 };
-        this.positionChangeThreshold = 5; // Minimum distance to consider movement
-
-        // Add cooldown for shape shifter
-        this.shapeShifterCooldown = {
-            active: false,
-            lastChange: 0,
-            cooldownTime: 1000 // 1 second cooldown
-        };
+        this.frameId = requestAnimationFrame(this.frame);
     }
 
-    createInitialObstacles() {
-        const obstacles = [];
-        
-        // Start with one regular shape
-        const regularShape = this.shapeTypes[Math.floor(Math.random() * this.shapeTypes.length)];
-        const colorIndex = Math.floor(Math.random() * this.obstacleColors.length);
-        
-        const shape = {
-            x: Math.random() * (this.canvas.width - 100) + 50,
-            y: Math.random() * (this.canvas.height - 100) + 50,
-            size: 40,
-            color: this.obstacleColors[colorIndex].base,
-            lightColor: this.obstacleColors[colorIndex].light,
-            shape: regularShape,
-            speedX: 0,
-            speedY: 0,
-            baseSpeed: 2,
-            isBlind: false,
-            blindTimer: 0,
-            blindDuration: 0,
-            lastBlindTime: 0,
-            rotation: Math.random() * Math.PI * 2,
-            rotationSpeed: (Math.random() - 0.5) * 0.02,
-            blindChance: 0.3,
-            blindDurationRange: { min: 1000, max: 3000 },
-            chaseAccuracy: 0.5 + Math.random() * 0.5
-        };
-        obstacles.push(shape);
-        
-        // 30% chance to add a superpower shape
-        if (Math.random() < 0.3) {
-            const superPowerTypes = ['star', 'star_eliminator', 'star_reducer'];
-            const powerType = superPowerTypes[Math.floor(Math.random() * superPowerTypes.length)];
-            const colorIndex = Math.floor(Math.random() * this.obstacleColors.length);
-            
-            const superShape = {
-                x: Math.random() * (this.canvas.width - 100) + 50,
-                y: Math.random() * (this.canvas.height - 100) + 50,
-                size: 40,
-                color: this.obstacleColors[colorIndex].base,
-                lightColor: this.obstacleColors[colorIndex].light,
-                shape: powerType,
-                speedX: 0,
-                speedY: 0,
-                baseSpeed: 2,
-                isBlind: false,
-                blindTimer: 0,
-                blindDuration: 0,
-                lastBlindTime: 0,
-                rotation: Math.random() * Math.PI * 2,
-                rotationSpeed: (Math.random() - 0.5) * 0.02,
-                blindChance: 0.3,
-                blindDurationRange: { min: 1000, max: 3000 },
-                chaseAccuracy: 0.5 + Math.random() * 0.5
-            };
-            obstacles.push(superShape);
+    cancelFrame() {
+        if (this.frameId !== null) {
+            cancelAnimationFrame(this.frameId);
+            this.frameId = null;
         }
-        
-        return obstacles;
+    }
+
+    // Seed of the current run; the same seed and inputs reproduce the same game
+    get seed() {
+        return this.world.rng.seed;
+    }
+
+    // Adds a listener and remembers it so stop() can remove it again
+    listen(target, type, handler) {
+        target.addEventListener(type, handler);
+        this.listeners.push({ target, type, handler });
     }
 
     setupEventListeners() {
-        this.keys = {};
-        window.addEventListener('keydown', (e) => this.keys[e.key] = true);
-        window.addEventListener('keyup', (e) => this.keys[e.key] = false);
-        
-        // Touch controls for mobile
-        this.canvas.addEventListener('touchstart', (e) => {
-            const touch = e.touches[0];
-            const rect = this.canvas.getBoundingClientRect();
-            this.touchX = touch.clientX - rect.left;
-            this.touchY = touch.clientY - rect.top;
+        this.listen(window, 'keydown', (e) => {
+            const slot = Number(e.key) - 1;
+            const isSlotKey = /^[0-9]$/.test(e.key) && slot >= 0 && slot < POWER_SLOTS;
+            if (GAME_KEYS.includes(e.key) || isSlotKey) e.preventDefault();
+
+            this.keys[e.key] = true;
+            if (e.repeat) return;
+            if (e.key === 'h' || e.key === 'H') this.showHulls = !this.showHulls;
+            if (e.key === 'p' || e.key === 'P' || e.key === 'Escape') this.togglePause();
+
+            // Number keys use the power in that inventory slot
+            if (isSlotKey) this.activatePowerSlot(slot);
+            // One blink per press; holding Space does not keep teleporting
+            if (e.key === ' ' && !this.replay) this.pendingBlink = true;
         });
-        
-        this.canvas.addEventListener('touchmove', (e) => {
+        this.listen(window, 'keyup', (e) => this.keys[e.key] = false);
+
+        // Pause whenever the player looks away
+        this.listen(window, 'blur', () => this.pause());
+        this.listen(document, 'visibilitychange', () => {
+            if (document.hidden) this.pause();
+        });
+        this.listen(window, 'pagehide', () => this.saveRun());
+
+        // Touch controls for mobile; tapping an inventory slot uses its power
+        const handleTouch = (e) => {
             const touch = e.touches[0];
             const rect = this.canvas.getBoundingClientRect();
-            this.touchX = touch.clientX - rect.left;
-            this.touchY = touch.clientY - rect.top;
+            const x = touch.clientX - rect.left;
+            const y = touch.clientY - rect.top;
+            const slot = e.type === 'touchstart' ? this.powerSlotAt(x, y) : -1;
+            if (slot >= 0) {
+                this.activatePowerSlot(slot);
+                return;
+            }
+            this.touchX = x;
+            this.touchY = y;
+        };
+        this.listen(this.canvas, 'touchstart', handleTouch);
+        this.listen(this.canvas, 'touchmove', handleTouch);
+    }
+
+    // Uses the power in an inventory slot on the next tick
+    activatePowerSlot(slot) {
+        if (!this.replay) this.pendingPowerSlot = slot;
+    }
+
+    // Inventory slot drawn at a canvas position, or -1
+    powerSlotAt(x, y) {
+        const { size, spacing } = this.powerSlots;
+        for (let i = 0; i < POWER_SLOTS; i++) {
+            const { x: slotX, y: slotY } = this.powerSlotPosition(i);
+            if (x >= slotX && x <= slotX + size && y >= slotY && y <= slotY + size + spacing) return i;
+        }
+        return -1;
+    }
+
+    powerSlotPosition(index) {
+        const { x, y, size, spacing } = this.powerSlots;
+        return { x: x + index * (size + spacing), y };
+    }
+
+    removeEventListeners() {
+        this.listeners.forEach(({ target, type, handler }) => target.removeEventListener(type, handler));
+        this.listeners = [];
+    }
+
+    // Snapshot of the current keyboard and touch state for one simulation tick
+    readInput() {
+        return {
+            up: Boolean(this.keys['ArrowUp'] || this.keys['w']),
+            down: Boolean(this.keys['ArrowDown'] || this.keys['s']),
+            left: Boolean(this.keys['ArrowLeft'] || this.keys['a']),
+            right: Boolean(this.keys['ArrowRight'] || this.keys['d']),
+            blink: this.pendingBlink,
+            usePower: this.pendingPowerSlot,
+            touch: this.touchX && this.touchY ? { x: this.touchX, y: this.touchY } : null,
+            command: this.pendingCommand
+        };
+    }
+
+    // React to what the simulation reported during the last tick
+    handleWorldEvents() {
+        this.world.events.forEach(event => {
+            switch (event.type) {
+                case 'powerAcquired':
+                case 'powerActivated':
+                case 'powerApplied':
+                    this.createParticles(event.x, event.y, event.color);
+                    break;
+                case 'pickupExpired':
+                    this.createParticles(event.x, event.y, SUPER_POWERS[event.power].color);
+                    break;
+                case 'shieldBroken':
+                    this.createParticles(event.x, event.y, SUPER_POWERS.star_shield.color);
+                    break;
+                case 'blink':
+                    // Burst where the player left and where it landed
+                    this.createParticles(event.fromX, event.fromY, SUPER_POWERS.star_blink.color);
+                    this.createParticles(event.x, event.y, SUPER_POWERS.star_blink.color);
+                    this.trail = [];
+                    break;
+                case 'death':
+                    this.createParticles(event.x, event.y, event.color);
+
+                    // Show game over display
+                    this.gameOverDisplay.visible = true;
+                    this.gameOverDisplay.targetAlpha = 1;
+                    this.gameOverDisplay.alpha = 0;
+                    this.gameOverDisplay.startTime = this.world.time;
+                    break;
+                case 'playerReset':
+                    this.particles = [];
+                    this.trail = [];
+                    this.infectionProgress = 0;
+                    break;
+                case 'levelReset':
+                    // Reset game over display
+                    this.gameOverDisplay.visible = false;
+                    this.gameOverDisplay.targetAlpha = 0;
+                    this.gameOverDisplay.alpha = 0;
+                    break;
+                case 'levelComplete':
+                    if (!this.replay) this.recordSplit(event.level);
+                    break;
+                case 'campaignComplete':
+                case 'gameOver':
+                    // A finished run has nothing left to continue
+                    if (!this.replay && this.autosave) {
+                        this.runComplete = true;
+                        clearSavedRun();
+                    }
+                    break;
+                case 'levelStart':
+                    this.levelStartTick = this.world.tick;
+                    break;
+                case 'score':
+                    this.createPopup(event);
+                    break;
+                default:
+                    break;
+            }
+
+            // Then pass it on to subscribers
+            const { type, ...payload } = event;
+            this.events.emit(type, payload);
         });
+        this.world.events = [];
     }
 
     createParticles(x, y, color) {
@@ -282,7 +450,7 @@ export class GameEngine {
             const p = this.particles[i];
             p.x += p.vx;
             p.y += p.vy;
-            p.life -= 0.02;
+            p.life -= TIME_STEP / PARTICLE_LIFETIME;
             
             if (p.life <= 0) {
                 this.particles.splice(i, 1);
@@ -301,618 +469,273 @@ export class GameEngine {
         this.ctx.globalAlpha = 1;
     }
 
+    createPopup({ reason, points, multiplier, x, y }) {
+        this.popups.push({
+            x,
+            y,
+            text: `${SCORE_LABELS[reason]} +${points}`,
+            combo: multiplier > 1 ? `x${multiplier.toFixed(2)}` : null,
+            startTime: this.world.time
+        });
+    }
+
+    updatePopups() {
+        this.popups = this.popups.filter(popup => this.world.time - popup.startTime < POPUP_LIFETIME);
+    }
+
+    // Score popups float up from where the points were earned and fade out
+    drawPopups() {
+        this.ctx.save();
+        this.ctx.textAlign = 'center';
+        this.ctx.textBaseline = 'middle';
+        this.popups.forEach(popup => {
+            const progress = (this.world.time - popup.startTime) / POPUP_LIFETIME;
+            const y = popup.y - progress * POPUP_RISE;
+
+            this.ctx.globalAlpha = 1 - progress;
+            this.ctx.fillStyle = '#FFFFFF';
+            this.ctx.font = 'bold 16px Arial';
+            this.ctx.fillText(popup.text, popup.x, y);
+            if (popup.combo) {
+                this.ctx.fillStyle = '#FFD700';
+                this.ctx.font = '12px Arial';
+                this.ctx.fillText(popup.combo, popup.x, y + 16);
+            }
+        });
+        this.ctx.restore();
+    }
+
     updatePlayerTrail() {
-        this.player.trail.unshift({ x: this.player.x, y: this.player.y });
-        if (this.player.trail.length > 10) {
-            this.player.trail.pop();
+        this.trail.unshift({ x: this.world.player.x, y: this.world.player.y });
+        if (this.trail.length > 10) {
+            this.trail.pop();
         }
     }
 
     drawPlayerTrail() {
-        this.player.trail.forEach((pos, index) => {
-            const alpha = 1 - (index / this.player.trail.length);
+        this.trail.forEach((pos, index) => {
+            const alpha = 1 - (index / this.trail.length);
             this.ctx.globalAlpha = alpha * 0.5;
-            this.ctx.fillStyle = this.player.color;
+            this.ctx.fillStyle = this.world.player.color;
             this.ctx.beginPath();
-            this.ctx.arc(pos.x, pos.y, this.player.radius * 0.8, 0, Math.PI * 2);
+            this.ctx.arc(pos.x, pos.y, this.world.player.radius * 0.8, 0, Math.PI * 2);
             this.ctx.fill();
         });
         this.ctx.globalAlpha = 1;
     }
 
-    updatePlayer() {
-        // Store previous position
-        this.lastPlayerPosition.x = this.player.x;
-        this.lastPlayerPosition.y = this.player.y;
-
-        // Keyboard controls
-        if (this.keys['ArrowUp'] || this.keys['w']) this.player.y -= this.player.speed;
-        if (this.keys['ArrowDown'] || this.keys['s']) this.player.y += this.player.speed;
-        if (this.keys['ArrowLeft'] || this.keys['a']) this.player.x -= this.player.speed;
-        if (this.keys['ArrowRight'] || this.keys['d']) this.player.x += this.player.speed;
-
-        // Touch controls
-        if (this.touchX && this.touchY) {
-            const dx = this.touchX - this.player.x;
-            const dy = this.touchY - this.player.y;
-            const distance = Math.sqrt(dx * dx + dy * dy);
-            if (distance > 5) {
-                this.player.x += (dx / distance) * this.player.speed;
-                this.player.y += (dy / distance) * this.player.speed;
-            }
-        }
-
-        // Keep player in bounds
-        this.player.x = Math.max(this.player.radius, Math.min(this.canvas.width - this.player.radius, this.player.x));
-        this.player.y = Math.max(this.player.radius, Math.min(this.canvas.height - this.player.radius, this.player.y));
-
-        // Update trail
-        this.updatePlayerTrail();
-
-        // Check for exit collision
-        if (this.checkExitCollision()) {
-            this.success = true;
-            this.callbacks.onSuccess();
-        }
-
-        // Check if player is stuck at entrance
-        this.checkIfStuck();
+    loadGhost() {
+        this.ghost = this.racingGhost ? loadBestRun(this.world.campaign) : null;
+        this.bestSplit = this.ghost ? this.ghost.best : { level: 0, tick: Infinity };
     }
 
-    checkIfStuck() {
-        // Calculate distance moved
-        const dx = this.player.x - this.lastPlayerPosition.x;
-        const dy = this.player.y - this.lastPlayerPosition.y;
-        const distanceMoved = Math.sqrt(dx * dx + dy * dy);
-
-        // Check if player is near entrance
-        const isNearEntrance = this.player.x < 100;
-
-        if (isNearEntrance && distanceMoved < this.positionChangeThreshold) {
-            this.stuckTimer += 16; // Assuming 60 FPS
-            if (this.stuckTimer >= this.stuckThreshold) {
-                this.resetLevel();
-                this.stuckTimer = 0;
-            }
-        } else {
-            this.stuckTimer = 0;
+    // Compares a level exit with the ghost and keeps the run if it is a new best
+    recordSplit(level) {
+        const tick = this.world.tick;
+        const ghostLevel = this.ghost && this.ghost.levels[level];
+
+        this.splitDisplay.visible = true;
+        this.splitDisplay.level = level;
+        this.splitDisplay.time = tick * TIME_STEP;
+        this.splitDisplay.delta = ghostLevel && ghostLevel.splitTick !== null
+            ? (tick - ghostLevel.splitTick) * TIME_STEP
+            : null;
+        this.splitDisplay.startTime = this.world.time;
+
+        const split = { level, tick };
+        if (this.racingGhost && isBetterSplit(split, this.bestSplit)) {
+            saveBestRun(this.world.campaign, this.track);
+            this.bestSplit = split;
         }
     }
 
-    updateObstacles() {
-        this.obstacles.forEach(obstacle => {
-            // Update rotation
-            obstacle.rotation += obstacle.rotationSpeed;
-
-            // Update blind state
-            if (!obstacle.isBlind && Math.random() < obstacle.blindChance) {
-                obstacle.isBlind = true;
-                obstacle.blindDuration = obstacle.blindDurationRange.min + 
-                    Math.random() * (obstacle.blindDurationRange.max - obstacle.blindDurationRange.min);
-                obstacle.blindTimer = 0;
-            }
-
-            if (obstacle.isBlind) {
-                obstacle.blindTimer += 16;
-                if (obstacle.blindTimer >= obstacle.blindDuration) {
-                    obstacle.isBlind = false;
-                    obstacle.lastBlindTime = Date.now();
-                }
-            }
+    // Level changes requested from outside go through the input frame so they
+    // are recorded and replayed on the same tick
+    nextLevel() {
+        if (!this.replay) this.pendingCommand = 'advanceLevel';
+    }
 
-            // Calculate size-based speed
-            const speed = this.calculateSizeBasedSpeed(obstacle.size);
+    resetLevel() {
+        if (!this.replay) this.pendingCommand = 'restartLevel';
+    }
 
-            // Check if obstacle is in entrance protection zone
-            const dxToEntrance = obstacle.x - this.entrance.x;
-            const dyToEntrance = obstacle.y - (this.entrance.y + this.entrance.height/2);
-            const distanceToEntrance = Math.sqrt(dxToEntrance * dxToEntrance + dyToEntrance * dyToEntrance);
+    resetVisuals() {
+        this.particles = [];
+        this.popups = [];
+        this.trail = [];
+        this.infectionProgress = 0;
+        this.gameOverDisplay.visible = false;
+        this.gameOverDisplay.targetAlpha = 0;
+        this.gameOverDisplay.alpha = 0;
+        this.splitDisplay.visible = false;
+    }
 
-            if (distanceToEntrance < this.entranceProtectionRadius) {
-                // Calculate repulsion force
-                const forceMagnitude = this.entranceProtectionForce * 
-                    (1 - distanceToEntrance / this.entranceProtectionRadius);
-                const forceX = (dxToEntrance / distanceToEntrance) * forceMagnitude;
-                const forceY = (dyToEntrance / distanceToEntrance) * forceMagnitude;
+    exportRecording() {
+        return exportReplay(this.recording);
+    }
 
-                // Apply repulsion force
-                obstacle.speedX += forceX;
-                obstacle.speedY += forceY;
-            }
+    // How far the run got, for the run history
+    runSummary() {
+        const { world } = this;
+        return {
+            seed: world.rng.seed,
+            campaign: world.campaign ? world.campaign.name : null,
+            level: world.level,
+            levelName: world.levelName,
+            time: world.time,
+            score: world.score.total,
+            deaths: world.deaths,
+            powersUsed: world.powersUsed
+        };
+    }
 
-            // Update position
-            if (!obstacle.isBlind) {
-                const dx = this.player.x - obstacle.x;
-                const dy = this.player.y - obstacle.y;
-                const distance = Math.sqrt(dx * dx + dy * dy);
-                
-                if (distance > 0) {
-                    obstacle.speedX = (dx / distance) * speed * obstacle.chaseAccuracy;
-                    obstacle.speedY = (dy / distance) * speed * obstacle.chaseAccuracy;
-                }
-            } else {
-                // Random movement when blind
-                obstacle.speedX += (Math.random() - 0.5) * 0.2;
-                obstacle.speedY += (Math.random() - 0.5) * 0.2;
-                
-                // Limit speed
-                const maxSpeed = speed * 0.5;
-                obstacle.speedX = Math.max(-maxSpeed, Math.min(maxSpeed, obstacle.speedX));
-                obstacle.speedY = Math.max(-maxSpeed, Math.min(maxSpeed, obstacle.speedY));
-            }
+    // Full state of the live run as a string; deserialize() restores it exactly
+    serialize() {
+        return serializeRun({
+            world: this.world,
+            recording: this.recording,
+            levelStartTick: this.levelStartTick,
+            track: this.track
+        });
+    }
 
-            // Apply friction
-            obstacle.speedX *= this.friction;
-            obstacle.speedY *= this.friction;
-
-            // Update position
-            obstacle.x += obstacle.speedX;
-            obstacle.y += obstacle.speedY;
-
-            // Keep obstacle in bounds with bounce
-            if (obstacle.x - obstacle.size < 0) {
-                obstacle.x = obstacle.size;
-                obstacle.speedX = -obstacle.speedX * this.elasticity;
-            } else if (obstacle.x + obstacle.size > this.canvas.width) {
-                obstacle.x = this.canvas.width - obstacle.size;
-                obstacle.speedX = -obstacle.speedX * this.elasticity;
-            }
+    // Replaces the current run with one from serialize(), throwing if the
+    // text is not a run this version can continue
+    deserialize(text) {
+        const run = deserializeRun(text);
+        this.world = run.world;
+        this.recording = run.recording;
+        this.levelStartTick = run.levelStartTick;
+        this.track = run.track;
+        this.replay = null;
+        this.pendingCommand = null;
+        this.pendingPowerSlot = null;
+        this.pendingBlink = false;
+        this.runComplete = false;
+        this.accumulator = 0;
+        this.loadGhost();
+        this.resetVisuals();
+        this.events.emit('runRestored', { tick: this.world.tick, time: this.world.time });
+    }
 
-            if (obstacle.y - obstacle.size < 0) {
-                obstacle.y = obstacle.size;
-                obstacle.speedY = -obstacle.speedY * this.elasticity;
-            } else if (obstacle.y + obstacle.size > this.canvas.height) {
-                obstacle.y = this.canvas.height - obstacle.size;
-                obstacle.speedY = -obstacle.speedY * this.elasticity;
-            }
+    // Keeps the live run to continue later; a run that has not got going yet
+    // has nothing worth saving over an earlier one
+    saveRun() {
+        if (this.autosave && this.status !== 'idle' && this.world.tick > 0 && !this.replay && !this.runComplete) {
+            saveRun(this.serialize());
+        }
+    }
 
-            // Check collision with other obstacles
-            this.obstacles.forEach(otherObstacle => {
-                if (obstacle !== otherObstacle) {
-                    this.handleObstacleCollision(obstacle, otherObstacle);
-                }
-            });
+    loadReplay(recording) {
+        this.recording = recording;
+        this.world = createReplayWorld(recording);
+        this.levelStartTick = 0;
+        this.replay = {
+            frame: 0,
+            paused: false,
+            speed: 1,
+            snapshots: [snapshotWorld(this.world)] // World at every REPLAY_SNAPSHOT_INTERVAL frames so far
+        };
+        this.pendingCommand = null;
+        this.pendingPowerSlot = null;
+        this.pendingBlink = false;
+        this.accumulator = 0;
+        this.resetVisuals();
+        this.notifyReplay();
+    }
 
-            // Check collision with player
-            if (this.checkCollision(this.player, obstacle)) {
-                this.handleCollision(obstacle);
-            }
+    notifyReplay() {
+        if (!this.replay) return;
 
-            // Apply power effect if player has active power
-            if (this.playerPower.active && 
-                this.checkCollision(this.player, obstacle)) {
-                this.superPowers[this.playerPower.type].effect(obstacle);
-                this.createParticles(obstacle.x, obstacle.y, this.superPowers[this.playerPower.type].color);
-            }
+        this.events.emit('replayUpdate', {
+            frame: this.replay.frame,
+            frameCount: this.recording.frames.length,
+            paused: this.replay.paused,
+            speed: this.replay.speed,
+            level: this.world.level
         });
     }
 
-    calculateSizeBasedSpeed(size) {
-        // Larger shapes move slower
-        const minSize = 30;
-        const maxSize = 90;
-        const speedRange = 2.0 - 0.5; // Speed range from 2.0 to 0.5
-        const sizeRatio = (size - minSize) / (maxSize - minSize);
-        return 2.0 - (speedRange * sizeRatio);
-    }
-
-    handleCollision(obstacle) {
-        // Check if player is in entrance protection zone
-        const dxToEntrance = this.player.x - this.entrance.x;
-        const dyToEntrance = this.player.y - (this.entrance.y + this.entrance.height/2);
-        const distanceToEntrance = Math.sqrt(dxToEntrance * dxToEntrance + dyToEntrance * dyToEntrance);
-
-        if (distanceToEntrance > this.entranceProtectionRadius) {
-            // Check if obstacle has a superpower and player doesn't have power
-            if (this.superPowers[obstacle.shape] && !this.playerPower.hasPower) {
-                // Steal the power
-                this.activatePlayerPower(obstacle.shape);
-                this.createParticles(this.player.x, this.player.y, this.superPowers[obstacle.shape].color);
-                // Remove power from the shape permanently
-                obstacle.shape = this.shapeTypes[Math.floor(Math.random() * this.shapeTypes.length)];
-            } else if (!this.playerPower.active) {
-                // Normal collision - show game over display and reset player immediately
-                this.player.infected = true;
-                this.createParticles(this.player.x, this.player.y, obstacle.color);
-                this.gameOver = true;
-                
-                // Show game over display
-                this.gameOverDisplay.visible = true;
-                this.gameOverDisplay.targetAlpha = 1;
-                this.gameOverDisplay.alpha = 0;
-                this.gameOverDisplay.startTime = Date.now();
-                
-                // Reset player immediately
-                this.resetPlayer();
-            }
+    stepReplay() {
+        if (this.replay.frame >= this.recording.frames.length) {
+            this.replay.paused = true;
+            this.notifyReplay();
+            return;
         }
-    }
-
-    resetPlayer() {
-        // Reset player position and state
-        this.player.x = 50;
-        this.player.y = this.canvas.height / 2;
-        this.player.infected = false;
-        this.player.infectionProgress = 0;
-        this.player.trail = [];
-        
-        // Reset game state
-        this.gameOver = false;
-        this.success = false;
-        this.particles = [];
-        this.stuckTimer = 0;
 
-        // Reset power state
-        this.deactivatePlayerPower();
-        
-        // Don't reset game over display here - let it fade out naturally
-    }
+        this.stepSimulation(this.recording.frames[this.replay.frame]);
+        this.replay.frame++;
+        this.snapshotReplay(this.world, this.replay.frame);
 
-    checkCollision(player, obstacle) {
-        const dx = player.x - obstacle.x;
-        const dy = player.y - obstacle.y;
-        const distance = Math.sqrt(dx * dx + dy * dy);
-        
-        // Get the actual collision radius based on the shape type
-        let collisionRadius;
-        switch (obstacle.shape) {
-            case 'triangle':
-                // Use inscribed circle radius for triangle
-                collisionRadius = obstacle.size * 0.5;
-                break;
-            case 'square':
-                // Use half of diagonal for square
-                collisionRadius = obstacle.size * 0.707;
-                break;
-            case 'rectangle':
-                // Use average of width and height
-                collisionRadius = obstacle.size * 1.25;
-                break;
-            case 'ellipse':
-                // Use average of major and minor axes
-                collisionRadius = obstacle.size * 1.25;
-                break;
-            case 'star':
-                // Use inscribed circle radius
-                collisionRadius = obstacle.size * 0.5;
-                break;
-            case 'pentagon':
-                // Use inscribed circle radius
-                collisionRadius = obstacle.size * 0.688;
-                break;
-            case 'hexagon':
-                // Use inscribed circle radius
-                collisionRadius = obstacle.size * 0.866;
-                break;
-            case 'octagon':
-                // Use inscribed circle radius
-                collisionRadius = obstacle.size * 0.924;
-                break;
-            case 'diamond':
-                // Use inscribed circle radius
-                collisionRadius = obstacle.size * 0.707;
-                break;
-            case 'cross':
-                // Use average of arms
-                collisionRadius = obstacle.size * 0.65;
-                break;
-            case 'heart':
-                // Use average of width and height
-                collisionRadius = obstacle.size * 0.75;
-                break;
-            case 'moon':
-                // Use average of outer and inner radius
-                collisionRadius = obstacle.size * 0.85;
-                break;
-            case 'cloud':
-                // Use average of cloud parts
-                collisionRadius = obstacle.size * 0.6;
-                break;
-            case 'lightning':
-                // Use average of width and height
-                collisionRadius = obstacle.size * 0.5;
-                break;
-            case 'spiral':
-                // Use average of spiral radius
-                collisionRadius = obstacle.size * 0.6;
-                break;
-            default:
-                collisionRadius = obstacle.size * 0.8;
+        // Keep the UI in sync without re-rendering it every tick
+        if (this.replay.frame % 10 === 0 || this.replay.frame === this.recording.frames.length) {
+            this.notifyReplay();
         }
-
-        // Check if the distance is less than the sum of the player's radius and the obstacle's collision radius
-        return distance < (player.radius + collisionRadius);
     }
 
-    checkExitCollision() {
-        return (
-            this.player.x + this.player.radius > this.exit.x &&
-            this.player.x - this.player.radius < this.exit.x + this.exit.width &&
-            this.player.y + this.player.radius > this.exit.y &&
-            this.player.y - this.player.radius < this.exit.y + this.exit.height
-        );
+    pauseReplay() {
+        if (!this.replay) return;
+        this.replay.paused = true;
+        this.notifyReplay();
     }
 
-    nextLevel() {
-        this.level++;
-        this.callbacks.onLevelChange(this.level);
-        
-        // Keep existing shapes but remove any superpower shapes
-        this.obstacles = this.obstacles.filter(obstacle => 
-            !this.superPowers[obstacle.shape]
-        );
-        
-        // Add one new regular shape
-        const regularShape = this.shapeTypes[Math.floor(Math.random() * this.shapeTypes.length)];
-        const colorIndex = Math.floor(Math.random() * this.obstacleColors.length);
-        
-        const newObstacle = {
-            x: Math.random() * (this.canvas.width - 100) + 50,
-            y: Math.random() * (this.canvas.height - 100) + 50,
-            size: Math.max(30 + Math.random() * 60, this.minShapeSize),
-            color: this.obstacleColors[colorIndex].base,
-            lightColor: this.obstacleColors[colorIndex].light,
-            shape: regularShape,
-            speedX: 0,
-            speedY: 0,
-            baseSpeed: 2,
-            isBlind: false,
-            blindTimer: 0,
-            blindDuration: 0,
-            lastBlindTime: 0,
-            rotation: Math.random() * Math.PI * 2,
-            rotationSpeed: (Math.random() - 0.5) * 0.02,
-            blindChance: 0.2 + Math.random() * 0.2,
-            blindDurationRange: {
-                min: 1000 + Math.random() * 1000,
-                max: 2000 + Math.random() * 2000
-            },
-            chaseAccuracy: 0.3 + Math.random() * 0.7
-        };
-        this.obstacles.push(newObstacle);
-        
-        // 30% chance to add a superpower shape
-        if (Math.random() < 0.3) {
-            const superPowerTypes = ['star', 'star_eliminator', 'star_reducer'];
-            const powerType = superPowerTypes[Math.floor(Math.random() * superPowerTypes.length)];
-            const colorIndex = Math.floor(Math.random() * this.obstacleColors.length);
-            
-            const superShape = {
-                x: Math.random() * (this.canvas.width - 100) + 50,
-                y: Math.random() * (this.canvas.height - 100) + 50,
-                size: Math.max(30 + Math.random() * 60, this.minShapeSize),
-                color: this.obstacleColors[colorIndex].base,
-                lightColor: this.obstacleColors[colorIndex].light,
-                shape: powerType,
-                speedX: 0,
-                speedY: 0,
-                baseSpeed: 2,
-                isBlind: false,
-                blindTimer: 0,
-                blindDuration: 0,
-                lastBlindTime: 0,
-                rotation: Math.random() * Math.PI * 2,
-                rotationSpeed: (Math.random() - 0.5) * 0.02,
-                blindChance: 0.2 + Math.random() * 0.2,
-                blindDurationRange: {
-                    min: 1000 + Math.random() * 1000,
-                    max: 2000 + Math.random() * 2000
-                },
-                chaseAccuracy: 0.3 + Math.random() * 0.7
-            };
-            this.obstacles.push(superShape);
+    playReplay() {
+        if (!this.replay) return;
+
+        // Start over when play is pressed at the end of the replay
+        if (this.replay.frame >= this.recording.frames.length) {
+            this.seekReplay(0);
         }
-        
-        // Reset player position
-        this.resetPlayer();
+        this.replay.paused = false;
+        this.notifyReplay();
     }
 
-    resetLevel() {
-        // Reset player position and state
-        this.player.x = 50;
-        this.player.y = this.canvas.height / 2;
-        this.player.infected = false;
-        this.player.infectionProgress = 0;
-        this.player.trail = [];
-        
-        // Reset game state
-        this.gameOver = false;
-        this.success = false;
-        this.particles = [];
-        this.stuckTimer = 0;
-
-        // Reset power state
-        this.deactivatePlayerPower();
-        
-        // Reset game over display
-        this.gameOverDisplay.visible = false;
-        this.gameOverDisplay.targetAlpha = 0;
-        this.gameOverDisplay.alpha = 0;
-
-        // Create new random initial obstacles
-        this.obstacles = this.createInitialObstacles();
+    setReplaySpeed(speed) {
+        if (!this.replay) return;
+        this.replay.speed = speed;
+        this.notifyReplay();
     }
 
-    drawShape(ctx, shape) {
-        ctx.save();
-        ctx.translate(shape.x, shape.y);
-        ctx.rotate(shape.rotation);
+    // Advances a paused replay by exactly one tick
+    stepReplayFrame() {
+        if (!this.replay) return;
+        this.replay.paused = true;
+        this.stepReplay();
+        this.notifyReplay();
+    }
 
-        // Draw power indicator for superpower shapes
-        if (shape.shape && this.superPowers && this.superPowers[shape.shape] && !this.playerPower.hasPower) {
-            const power = this.superPowers[shape.shape];
-            
-            // Draw outer glow with pulsing effect
-            const pulseScale = 1.3 + Math.sin(Date.now() / 200) * 0.1; // Pulsing effect
-            ctx.beginPath();
-            ctx.strokeStyle = power.color;
-            ctx.lineWidth = 4;
-            ctx.arc(0, 0, shape.size * pulseScale, 0, Math.PI * 2);
-            ctx.stroke();
-
-            // Draw power symbol based on type
-            ctx.beginPath();
-            ctx.fillStyle = power.color;
-            switch (shape.shape) {
-                case 'star':
-                    // Draw shape change symbol (circular arrows)
-                    ctx.beginPath();
-                    ctx.arc(0, 0, shape.size * 0.3, 0, Math.PI * 2);
-                    ctx.stroke();
-                    ctx.beginPath();
-                    ctx.arc(0, 0, shape.size * 0.2, 0, Math.PI * 2);
-                    ctx.stroke();
-                    ctx.beginPath();
-                    ctx.moveTo(shape.size * 0.3, 0);
-                    ctx.lineTo(shape.size * 0.4, -shape.size * 0.1);
-                    ctx.lineTo(shape.size * 0.4, shape.size * 0.1);
-                    ctx.fill();
-                    break;
-                case 'star_eliminator':
-                    // Draw elimination symbol (X)
-                    ctx.beginPath();
-                    ctx.moveTo(-shape.size * 0.2, -shape.size * 0.2);
-                    ctx.lineTo(shape.size * 0.2, shape.size * 0.2);
-                    ctx.moveTo(shape.size * 0.2, -shape.size * 0.2);
-                    ctx.lineTo(-shape.size * 0.2, shape.size * 0.2);
-                    ctx.lineWidth = 3;
-                    ctx.stroke();
-                    break;
-                case 'star_reducer':
-                    // Draw size decrease symbol (-)
-                    ctx.beginPath();
-                    ctx.moveTo(-shape.size * 0.2, 0);
-                    ctx.lineTo(shape.size * 0.2, 0);
-                    ctx.lineWidth = 3;
-                    ctx.stroke();
-                    break;
-            }
+    // Copies the replay world when it reaches the next snapshot frame
+    snapshotReplay(world, frame) {
+        const { snapshots } = this.replay;
+        if (frame === snapshots.length * REPLAY_SNAPSHOT_INTERVAL) {
+            snapshots.push(snapshotWorld(world));
         }
+    }
 
-        // Draw the shape
-        ctx.beginPath();
-        ctx.fillStyle = shape.color;
-        
-        switch(shape.shape) {
-            case 'triangle':
-                ctx.moveTo(0, -shape.size);
-                ctx.lineTo(shape.size, shape.size);
-                ctx.lineTo(-shape.size, shape.size);
-                break;
-            case 'square':
-                ctx.rect(-shape.size, -shape.size, shape.size * 2, shape.size * 2);
-                break;
-            case 'rectangle':
-                ctx.rect(-shape.size, -shape.size * 0.6, shape.size * 2, shape.size * 1.2);
-                break;
-            case 'ellipse':
-                ctx.ellipse(0, 0, shape.size, shape.size * 0.6, 0, 0, Math.PI * 2);
-                break;
-            case 'star':
-            case 'star_eliminator':
-            case 'star_reducer':
-                for (let i = 0; i < 5; i++) {
-                    const angle = (i * 4 * Math.PI) / 5 - Math.PI / 2;
-                    const x = Math.cos(angle) * shape.size;
-                    const y = Math.sin(angle) * shape.size;
-                    if (i === 0) ctx.moveTo(x, y);
-                    else ctx.lineTo(x, y);
-                }
-                break;
-            case 'pentagon':
-                for (let i = 0; i < 5; i++) {
-                    const angle = (i * 2 * Math.PI) / 5 - Math.PI / 2;
-                    const x = Math.cos(angle) * shape.size;
-                    const y = Math.sin(angle) * shape.size;
-                    if (i === 0) ctx.moveTo(x, y);
-                    else ctx.lineTo(x, y);
-                }
-                break;
-            case 'hexagon':
-                for (let i = 0; i < 6; i++) {
-                    const angle = (i * 2 * Math.PI) / 6;
-                    const x = Math.cos(angle) * shape.size;
-                    const y = Math.sin(angle) * shape.size;
-                    if (i === 0) ctx.moveTo(x, y);
-                    else ctx.lineTo(x, y);
-                }
-                break;
-            case 'octagon':
-                for (let i = 0; i < 8; i++) {
-                    const angle = (i * 2 * Math.PI) / 8;
-                    const x = Math.cos(angle) * shape.size;
-                    const y = Math.sin(angle) * shape.size;
-                    if (i === 0) ctx.moveTo(x, y);
-                    else ctx.lineTo(x, y);
-                }
-                break;
-            case 'diamond':
-                ctx.moveTo(0, -shape.size);
-                ctx.lineTo(shape.size, 0);
-                ctx.lineTo(0, shape.size);
-                ctx.lineTo(-shape.size, 0);
-                break;
-            case 'cross':
-                const arm = shape.size * 0.3;
-                ctx.moveTo(-arm, -arm);
-                ctx.lineTo(arm, -arm);
-                ctx.lineTo(arm, arm);
-                ctx.lineTo(-arm, arm);
-                ctx.lineTo(-arm, -arm);
-                break;
-            case 'heart':
-                const heartSize = shape.size * 0.8;
-                ctx.moveTo(0, heartSize * 0.3);
-                ctx.bezierCurveTo(
-                    heartSize * 0.5, heartSize * 0.3,
-                    heartSize * 0.5, -heartSize * 0.3,
-                    0, -heartSize * 0.3
-                );
-                ctx.bezierCurveTo(
-                    -heartSize * 0.5, -heartSize * 0.3,
-                    -heartSize * 0.5, heartSize * 0.3,
-                    0, heartSize * 0.3
-                );
-                break;
-            case 'moon':
-                const moonSize = shape.size * 0.8;
-                ctx.arc(0, 0, moonSize, 0, Math.PI * 2);
-                ctx.arc(moonSize * 0.3, 0, moonSize * 0.5, 0, Math.PI * 2, true);
-                break;
-            case 'cloud':
-                const cloudSize = shape.size * 0.8;
-                ctx.arc(-cloudSize * 0.3, 0, cloudSize * 0.3, 0, Math.PI * 2);
-                ctx.arc(cloudSize * 0.3, 0, cloudSize * 0.3, 0, Math.PI * 2);
-                ctx.arc(0, -cloudSize * 0.2, cloudSize * 0.3, 0, Math.PI * 2);
-                break;
-            case 'lightning':
-                const lightningSize = shape.size * 0.8;
-                ctx.moveTo(0, -lightningSize);
-                ctx.lineTo(lightningSize * 0.3, 0);
-                ctx.lineTo(-lightningSize * 0.3, lightningSize * 0.3);
-                ctx.lineTo(0, lightningSize);
-                ctx.lineTo(lightningSize * 0.3, 0);
-                break;
-            case 'spiral':
-                const spiralSize = shape.size * 0.8;
-                for (let i = 0; i < 4; i++) {
-                    const angle = i * Math.PI / 2;
-                    const radius = spiralSize * (1 - i * 0.2);
-                    const x = Math.cos(angle) * radius;
-                    const y = Math.sin(angle) * radius;
-                    if (i === 0) ctx.moveTo(x, y);
-                    else ctx.lineTo(x, y);
-                }
-                break;
+    // Jumps to a frame by re-simulating the run from the closest snapshot
+    // before it, taking any snapshots passed on the way
+    seekReplay(frame) {
+        if (!this.replay) return;
+        const target = Math.max(0, Math.min(frame, this.recording.frames.length));
+        const { snapshots } = this.replay;
+        const index = Math.min(Math.floor(target / REPLAY_SNAPSHOT_INTERVAL), snapshots.length - 1);
+
+        const world = restoreWorld(snapshots[index], this.recording.campaign);
+        for (let i = index * REPLAY_SNAPSHOT_INTERVAL; i < target; i++) {
+            stepWorld(world, this.recording.frames[i]);
+            this.snapshotReplay(world, i + 1);
         }
-        
-        ctx.closePath();
-        ctx.fill();
-        ctx.restore();
+        world.events = [];
+
+        this.world = world;
+        this.replay.frame = target;
+        this.accumulator = 0;
+        this.resetVisuals();
+        this.notifyReplay();
     }
 
     drawEntrance() {
-        const { x, y, width, height, color, lightColor } = this.entrance;
+        const { x, y, width, height, color, lightColor } = this.world.entrance;
         
         // Draw entrance portal
         this.ctx.save();
@@ -939,7 +762,7 @@ export class GameEngine {
     }
 
     drawExit() {
-        const { x, y, width, height, color, lightColor } = this.exit;
+        const { x, y, width, height, color, lightColor } = this.world.exit;
         
         // Draw exit portal
         this.ctx.save();
@@ -965,43 +788,157 @@ export class GameEngine {
         this.ctx.restore();
     }
 
-    drawPowerTimer() {
-        if (this.playerPower.active) {
-            const remainingTime = Math.max(0, this.playerPower.endTime - Date.now());
-            const progress = remainingTime / this.superPowers[this.playerPower.type].duration;
-            
-            // Draw power timer background
-            this.ctx.save();
+    drawWallLayer() {
+        const { canvas, walls } = this.wallLayer;
+        if (walls !== this.world.walls) {
+            const ctx = canvas.getContext('2d');
+            ctx.clearRect(0, 0, canvas.width, canvas.height);
+            drawWalls(ctx, this.world.walls);
+            this.wallLayer.walls = this.world.walls;
+        }
+        if (this.world.walls.length > 0) {
+            this.ctx.drawImage(canvas, 0, 0);
+        }
+    }
+
+    // Shield bubble and Magnet Repel field around the player
+    drawPlayerPower() {
+        const { player, playerPower } = this.world;
+        if (!playerPower.active) return;
+        const { color } = SUPER_POWERS[playerPower.type];
+
+        this.ctx.save();
+        this.ctx.strokeStyle = color;
+        if (playerPower.type === 'star_shield') {
+            this.ctx.lineWidth = 3;
+            this.ctx.globalAlpha = 0.6 + Math.sin(this.world.time / 150) * 0.2;
+            this.ctx.beginPath();
+            this.ctx.arc(player.x, player.y, player.radius + 8, 0, Math.PI * 2);
+            this.ctx.stroke();
+        } else if (playerPower.type === 'star_magnet') {
+            // Rings running outwards to the edge of the field
+            this.ctx.lineWidth = 2;
+            for (let i = 0; i < 3; i++) {
+                const phase = ((this.world.time / 1000) + i / 3) % 1;
+                this.ctx.globalAlpha = 0.4 * (1 - phase);
+                this.ctx.beginPath();
+                this.ctx.arc(player.x, player.y, player.radius + phase * (MAGNET_REPEL_RADIUS - player.radius), 0, Math.PI * 2);
+                this.ctx.stroke();
+            }
+        }
+        this.ctx.restore();
+    }
+
+    // One dot per life, hollow for the ones already lost
+    drawLives() {
+        const { x, y, radius, spacing } = this.livesDisplay;
+
+        this.ctx.save();
+        this.ctx.fillStyle = this.world.player.color;
+        this.ctx.strokeStyle = this.world.player.color;
+        this.ctx.lineWidth = 2;
+        for (let i = 0; i < this.world.maxLives; i++) {
+            this.ctx.beginPath();
+            this.ctx.arc(x + i * spacing, y, radius, 0, Math.PI * 2);
+            if (i < this.world.lives) this.ctx.fill();
+            else this.ctx.stroke();
+        }
+        this.ctx.restore();
+    }
+
+    // Total score at the top, with the combo multiplier while it is running
+    drawScore() {
+        const { total, multiplier } = this.world.score;
+
+        this.ctx.save();
+        this.ctx.textAlign = 'center';
+        this.ctx.textBaseline = 'middle';
+        this.ctx.fillStyle = 'rgba(0, 0, 0, 0.6)';
+        this.ctx.font = 'bold 18px Arial';
+        this.ctx.fillText(`Score ${total}`, this.canvas.width / 2, 20);
+        if (multiplier > 1) {
+            this.ctx.fillStyle = '#FFD700';
+            this.ctx.font = 'bold 14px Arial';
+            this.ctx.fillText(`x${multiplier.toFixed(2)}`, this.canvas.width / 2, 40);
+        }
+        this.ctx.restore();
+    }
+
+    // Inventory slots with their key, power and charges. A ring sweeps
+    // around each slot while the slots cool down, and the running power gets
+    // a ring of its own showing the time it has left.
+    drawPowerSlots() {
+        const { playerPower } = this.world;
+        const { size, spacing } = this.powerSlots;
+        const cooldown = Math.max(0, playerPower.readyTime - this.world.time) / POWER_COOLDOWN;
+
+        this.ctx.save();
+        this.ctx.textBaseline = 'middle';
+        playerPower.slots.forEach((slot, index) => {
+            const { x, y } = this.powerSlotPosition(index);
+            const centerX = x + size / 2;
+            const centerY = y + size / 2;
+
             this.ctx.fillStyle = 'rgba(0, 0, 0, 0.5)';
-            this.ctx.fillRect(
-                this.powerTimer.x,
-                this.powerTimer.y,
-                this.powerTimer.width,
-                this.powerTimer.height
-            );
+            this.roundRect(x, y, size, size, 8);
+            this.ctx.fill();
 
-            // Draw power timer progress
-            this.ctx.fillStyle = this.superPowers[this.playerPower.type].color;
-            this.ctx.fillRect(
-                this.powerTimer.x,
-                this.powerTimer.y,
-                this.powerTimer.width * progress,
-                this.powerTimer.height
-            );
+            if (slot) {
+                drawPowerIcon(this.ctx, slot.type, centerX, centerY, size * 0.4);
+                if (slot.charges > 1) {
+                    this.ctx.fillStyle = '#FFFFFF';
+                    this.ctx.font = 'bold 12px Arial';
+                    this.ctx.textAlign = 'right';
+                    this.ctx.fillText(`x${slot.charges}`, x + size - 4, y + size - 8);
+                }
+                if (cooldown > 0) {
+                    this.drawRing(centerX, centerY, size / 2 - 3, cooldown, 'rgba(255, 255, 255, 0.7)');
+                }
+            }
+
+            this.ctx.fillStyle = 'rgba(255, 255, 255, 0.8)';
+            this.ctx.font = '11px Arial';
+            this.ctx.textAlign = 'left';
+            this.ctx.fillText(`${index + 1}`, x + 4, y + 9);
+        });
+
+        if (playerPower.active) {
+            const power = SUPER_POWERS[playerPower.type];
+            const remainingTime = Math.max(0, playerPower.endTime - this.world.time);
+            const { x, y } = this.powerSlotPosition(POWER_SLOTS);
+            const centerX = x + size / 2;
+            const centerY = y + size / 2;
+
+            this.ctx.fillStyle = 'rgba(0, 0, 0, 0.5)';
+            this.ctx.beginPath();
+            this.ctx.arc(centerX, centerY, size / 2, 0, Math.PI * 2);
+            this.ctx.fill();
+            this.drawRing(centerX, centerY, size / 2 - 3, remainingTime / power.duration, power.color);
 
-            // Draw remaining time in seconds
             this.ctx.fillStyle = '#FFFFFF';
             this.ctx.font = '16px Arial';
             this.ctx.textAlign = 'center';
-            this.ctx.textBaseline = 'middle';
-            this.ctx.fillText(
-                `${Math.ceil(remainingTime / 1000)}s`,
-                this.powerTimer.x + this.powerTimer.width / 2,
-                this.powerTimer.y + this.powerTimer.height / 2
-            );
+            this.ctx.fillText(`${Math.ceil(remainingTime / 1000)}s`, centerX, centerY);
 
-            this.ctx.restore();
+            if (playerPower.type === 'star_blink') {
+                this.ctx.fillStyle = 'rgba(0, 0, 0, 0.6)';
+                this.ctx.font = '14px Arial';
+                this.ctx.textAlign = 'left';
+                this.ctx.fillText('Space to blink', this.powerSlots.x, y + size + spacing + 6);
+            }
         }
+        this.ctx.restore();
+    }
+
+    // Arc running clockwise from the top over `progress` (0 to 1) of a circle
+    drawRing(x, y, radius, progress, color) {
+        this.ctx.save();
+        this.ctx.strokeStyle = color;
+        this.ctx.lineWidth = 3;
+        this.ctx.beginPath();
+        this.ctx.arc(x, y, radius, -Math.PI / 2, -Math.PI / 2 + progress * Math.PI * 2);
+        this.ctx.stroke();
+        this.ctx.restore();
     }
 
     drawPowerLegend() {
@@ -1022,7 +959,7 @@ export class GameEngine {
 
         // Draw each power type
         let yOffset = 15;
-        Object.entries(this.superPowers).forEach(([shape, power]) => {
+        Object.entries(SUPER_POWERS).forEach(([shape, power]) => {
             // Draw color indicator
             this.ctx.beginPath();
             this.ctx.fillStyle = power.color;
@@ -1058,11 +995,13 @@ export class GameEngine {
         this.ctx.closePath();
     }
 
-    drawGameOverDisplay() {
+    // Fades the game over display in, holds it, then fades it out, all on
+    // the simulation clock
+    updateGameOverDisplay() {
         if (!this.gameOverDisplay.visible) return;
 
         // Check if display time has elapsed
-        if (Date.now() - this.gameOverDisplay.startTime >= this.gameOverDisplay.displayTime) {
+        if (this.world.time - this.gameOverDisplay.startTime >= this.gameOverDisplay.displayTime) {
             this.gameOverDisplay.targetAlpha = 0;
             if (this.gameOverDisplay.alpha <= 0) {
                 this.gameOverDisplay.visible = false;
@@ -1082,6 +1021,10 @@ export class GameEngine {
                 this.gameOverDisplay.targetAlpha
             );
         }
+    }
+
+    drawGameOverDisplay() {
+        if (!this.gameOverDisplay.visible) return;
 
         this.ctx.save();
         
@@ -1187,8 +1130,8 @@ export class GameEngine {
         this.ctx.globalAlpha = 0.05;
         this.ctx.fillStyle = '#87CEEB';
         this.ctx.beginPath();
-        this.ctx.arc(this.entrance.x, this.entrance.y + this.entrance.height/2, 
-            this.entranceProtectionRadius, 0, Math.PI * 2);
+        this.ctx.arc(this.world.entrance.x, this.world.entrance.y + this.world.entrance.height/2, 
+            this.world.entranceProtectionRadius, 0, Math.PI * 2);
         this.ctx.fill();
         this.ctx.restore();
 
@@ -1196,61 +1139,229 @@ export class GameEngine {
         this.drawEntrance();
         this.drawExit();
 
+        // Draw walls
+        this.drawWallLayer();
+
         // Draw particles
         this.drawParticles();
 
         // Draw player trail
         this.drawPlayerTrail();
 
+        // Draw pickups under the shapes
+        this.world.pickups.forEach(pickup => this.drawPickup(pickup));
+
         // Draw obstacles
-        this.obstacles.forEach(obstacle => {
-            this.ctx.fillStyle = obstacle.isBlind ? obstacle.lightColor : obstacle.color;
-            this.drawShape(this.ctx, obstacle);
-        });
+        this.world.obstacles.forEach(obstacle => this.drawObstacle(obstacle));
 
-        // Draw player
-        if (this.player.infected) {
-            this.player.infectionProgress = Math.min(1, this.player.infectionProgress + 0.02);
-        }
+        // Draw personal best ghost
+        this.drawGhost();
+
+        // Draw the field of the player's active power
+        this.drawPlayerPower();
 
-        // Draw main circle
-        this.ctx.fillStyle = this.player.color;
+        // Draw main circle, blinking while invulnerable after a respawn
+        this.ctx.save();
+        if (isInvulnerable(this.world) && Math.floor(this.world.time / 100) % 2 === 0) {
+            this.ctx.globalAlpha = 0.3;
+        }
+        this.ctx.fillStyle = this.world.player.color;
         this.ctx.beginPath();
-        this.ctx.arc(this.player.x, this.player.y, this.player.radius, 0, Math.PI * 2);
+        this.ctx.arc(this.world.player.x, this.world.player.y, this.world.player.radius, 0, Math.PI * 2);
         this.ctx.fill();
+        this.ctx.restore();
 
         // Draw infection effect
-        if (this.player.infected) {
-            const holeSize = this.player.radius * 0.5 * this.player.infectionProgress;
+        if (this.world.player.infected) {
+            const holeSize = this.world.player.radius * 0.5 * this.infectionProgress;
             const mixedColor = this.mixColors('#87CEEB', 'red', 0.5);
             
             // Draw the triangle hole
             this.ctx.fillStyle = mixedColor;
             this.ctx.beginPath();
-            this.ctx.moveTo(this.player.x, this.player.y - holeSize);
-            this.ctx.lineTo(this.player.x + holeSize, this.player.y + holeSize);
-            this.ctx.lineTo(this.player.x - holeSize, this.player.y + holeSize);
+            this.ctx.moveTo(this.world.player.x, this.world.player.y - holeSize);
+            this.ctx.lineTo(this.world.player.x + holeSize, this.world.player.y + holeSize);
+            this.ctx.lineTo(this.world.player.x - holeSize, this.world.player.y + holeSize);
             this.ctx.closePath();
             this.ctx.fill();
 
             // Draw the circle outline
-            this.ctx.strokeStyle = this.player.color;
+            this.ctx.strokeStyle = this.world.player.color;
             this.ctx.lineWidth = 2;
             this.ctx.beginPath();
-            this.ctx.arc(this.player.x, this.player.y, this.player.radius, 0, Math.PI * 2);
+            this.ctx.arc(this.world.player.x, this.world.player.y, this.world.player.radius, 0, Math.PI * 2);
             this.ctx.stroke();
         }
 
+        // Draw collision hulls
+        if (this.showHulls) this.drawHulls();
+
+        // Draw score popups
+        this.drawPopups();
+
+        // Draw lives and score
+        this.drawLives();
+        this.drawScore();
+
         // Draw power legend
         this.drawPowerLegend();
 
-        // Draw power timer
-        this.drawPowerTimer();
+        // Draw power inventory
+        this.drawPowerSlots();
+
+        // Draw run timer and splits
+        this.drawSplitTimer();
 
         // Draw game over display
         this.drawGameOverDisplay();
     }
 
+    // Pickups fade while the inventory has no room for them and flicker
+    // during their last seconds
+    drawPickup(pickup) {
+        const remaining = pickup.expireTime === null ? Infinity : pickup.expireTime - this.world.time;
+        if (remaining < PICKUP_WARNING_TIME && Math.floor(this.world.time / 100) % 2 === 0) return;
+        drawPickup(this.ctx, pickup, {
+            time: this.world.time,
+            dimmed: powerSlotFor(this.world, pickup.power) < 0
+        });
+    }
+
+    // Each obstacle state has its own look
+    drawObstacle(obstacle) {
+        const progress = stateProgress(this.world, obstacle);
+        let drawable = obstacle;
+
+        this.ctx.save();
+        switch (obstacle.state) {
+            case 'idle':
+                this.ctx.globalAlpha = 0.6;
+                break;
+            case 'blind':
+                drawable = { ...obstacle, color: obstacle.lightColor };
+                break;
+            case 'stunned':
+                // Shake in place
+                drawable = {
+                    ...obstacle,
+                    color: obstacle.lightColor,
+                    rotation: obstacle.rotation + Math.sin(this.world.time / 30) * 0.2
+                };
+                break;
+            case 'fleeing':
+                drawable = { ...obstacle, color: obstacle.lightColor };
+                this.ctx.globalAlpha = 0.8;
+                break;
+            case 'dying':
+                drawable = { ...obstacle, size: obstacle.size * (1 - progress) };
+                this.ctx.globalAlpha = 1 - progress;
+                break;
+            case 'frozen':
+                // Iced over, flickering back to its color as it thaws
+                if (progress < 0.75 || Math.floor(this.world.time / 100) % 2 === 0) {
+                    drawable = { ...obstacle, color: this.mixColors(obstacle.color, SUPER_POWERS.star_freeze.color, 0.7) };
+                }
+                break;
+            default:
+                break;
+        }
+
+        drawShape(this.ctx, drawable);
+
+        // Stunned shapes get a dashed ring that closes as the stun wears off
+        if (obstacle.state === 'stunned') {
+            this.ctx.strokeStyle = obstacle.color;
+            this.ctx.lineWidth = 2;
+            this.ctx.setLineDash([4, 4]);
+            this.ctx.beginPath();
+            this.ctx.arc(obstacle.x, obstacle.y, obstacle.size * 1.3, 0, Math.PI * 2 * (1 - progress));
+            this.ctx.stroke();
+        }
+        this.ctx.restore();
+    }
+
+    // Hull outlines of every obstacle, red where the player touches them
+    drawHulls() {
+        const { player } = this.world;
+        this.world.obstacles.forEach(obstacle => {
+            const touching = circleHitsObstacle(player.x, player.y, player.radius, obstacle);
+            drawHull(this.ctx, obstacle, touching ? '#FF0000' : '#00C853');
+        });
+
+        this.ctx.save();
+        this.ctx.strokeStyle = '#00C853';
+        this.ctx.lineWidth = 1;
+        this.ctx.beginPath();
+        this.ctx.arc(player.x, player.y, player.radius, 0, Math.PI * 2);
+        this.ctx.stroke();
+        this.ctx.restore();
+    }
+
+    drawGhost() {
+        if (!this.ghost || this.replay) return;
+
+        const position = ghostPosition(this.ghost, this.world.level, this.world.tick - this.levelStartTick);
+        if (!position) return;
+
+        this.ctx.save();
+        this.ctx.globalAlpha = 0.3;
+        this.ctx.fillStyle = this.world.player.color;
+        this.ctx.beginPath();
+        this.ctx.arc(position.x, position.y, this.world.player.radius, 0, Math.PI * 2);
+        this.ctx.fill();
+
+        this.ctx.globalAlpha = 0.6;
+        this.ctx.strokeStyle = '#4682B4';
+        this.ctx.lineWidth = 2;
+        this.ctx.setLineDash([4, 4]);
+        this.ctx.stroke();
+        this.ctx.restore();
+    }
+
+    formatTime(ms) {
+        return `${(ms / 1000).toFixed(2)}s`;
+    }
+
+    drawSplitTimer() {
+        if (this.replay) return;
+
+        const { x, y } = this.splitDisplay;
+
+        this.ctx.save();
+        this.ctx.textAlign = 'right';
+        this.ctx.textBaseline = 'middle';
+
+        // Draw running time for the whole run
+        this.ctx.fillStyle = 'rgba(0, 0, 0, 0.6)';
+        this.ctx.font = '16px Arial';
+        this.ctx.fillText(this.formatTime(this.world.tick * TIME_STEP), x, y);
+
+        // Draw the last level exit split for a few seconds
+        if (this.splitDisplay.visible &&
+            this.world.time - this.splitDisplay.startTime < this.splitDisplay.displayTime) {
+            this.ctx.font = 'bold 16px Arial';
+            this.ctx.fillText(
+                `Level ${this.splitDisplay.level}: ${this.formatTime(this.splitDisplay.time)}`,
+                x,
+                y + 22
+            );
+
+            if (this.splitDisplay.delta !== null) {
+                const ahead = this.splitDisplay.delta <= 0;
+                this.ctx.fillStyle = ahead ? '#32CD32' : '#FF4500';
+                this.ctx.fillText(
+                    `${ahead ? '-' : '+'}${this.formatTime(Math.abs(this.splitDisplay.delta))} ${ahead ? 'ahead' : 'behind'}`,
+                    x,
+                    y + 44
+                );
+            }
+        } else {
+            this.splitDisplay.visible = false;
+        }
+
+        this.ctx.restore();
+    }
+
     mixColors(color1, color2, ratio) {
         const hex = x => {
             x = x.toString(16);
@@ -1273,11 +1384,13 @@ export class GameEngine {
     }
 
     gameLoop(timestamp) {
+        if (this.status !== 'running') return;
+
         if (!this.lastTime) this.lastTime = timestamp;
-        const deltaTime = timestamp - this.lastTime;
+        const deltaTime = Math.min(timestamp - this.lastTime, MAX_FRAME_TIME);
         this.lastTime = timestamp;
 
-        this.accumulator += deltaTime;
+        this.accumulator += this.replay ? deltaTime * this.replay.speed : deltaTime;
 
         while (this.accumulator >= this.timeStep) {
             this.update();
@@ -1285,93 +1398,35 @@ export class GameEngine {
         }
 
         this.draw();
-        requestAnimationFrame(this.gameLoop.bind(this));
+        // A callback may have paused or stopped the engine during the ticks
+        if (this.status === 'running') this.frameId = requestAnimationFrame(this.frame);
     }
 
     update() {
-        if (!this.success) {
-            this.updatePlayer();
-            this.updateObstacles();
-            this.updateParticles();
+        if (this.replay) {
+            if (!this.replay.paused) this.stepReplay();
+            return;
         }
-    }
-
-    cleanup() {
-        window.removeEventListener('keydown', this.keys);
-        window.removeEventListener('keyup', this.keys);
-        this.canvas.removeEventListener('touchstart', this.touchX);
-        this.canvas.removeEventListener('touchmove', this.touchY);
-        if (this.playerPower.timer) {
-            clearInterval(this.playerPower.timer);
-        }
-    }
-
-    handleObstacleCollision(obstacle1, obstacle2) {
-        const dx = obstacle2.x - obstacle1.x;
-        const dy = obstacle2.y - obstacle1.y;
-        const distance = Math.sqrt(dx * dx + dy * dy);
-        const minDistance = obstacle1.size + obstacle2.size;
-
-        if (distance < minDistance) {
-            // Calculate collision normal
-            const nx = dx / distance;
-            const ny = dy / distance;
-
-            // Calculate relative velocity
-            const relativeVelocityX = obstacle2.speedX - obstacle1.speedX;
-            const relativeVelocityY = obstacle2.speedY - obstacle1.speedY;
-            const relativeVelocity = relativeVelocityX * nx + relativeVelocityY * ny;
-
-            // Only resolve if objects are moving toward each other
-            if (relativeVelocity < 0) {
-                // Calculate impulse
-                const impulse = -(1 + this.elasticity) * relativeVelocity;
-                const impulseX = impulse * nx;
-                const impulseY = impulse * ny;
-
-                // Apply impulse
-                obstacle1.speedX -= impulseX;
-                obstacle1.speedY -= impulseY;
-                obstacle2.speedX += impulseX;
-                obstacle2.speedY += impulseY;
-
-                // Separate objects to prevent sticking
-                const overlap = minDistance - distance;
-                const separationX = nx * overlap * 0.5;
-                const separationY = ny * overlap * 0.5;
-
-                obstacle1.x -= separationX;
-                obstacle1.y -= separationY;
-                obstacle2.x += separationX;
-                obstacle2.y += separationY;
-            }
-        }
-    }
 
-    activatePlayerPower(powerType) {
-        this.playerPower.active = true;
-        this.playerPower.type = powerType;
-        this.playerPower.hasPower = true;
-        this.playerPower.endTime = Date.now() + this.superPowers[powerType].duration;
-        
-        // Start power timer
-        if (this.playerPower.timer) {
-            clearInterval(this.playerPower.timer);
-        }
-        this.playerPower.timer = setInterval(() => {
-            if (Date.now() >= this.playerPower.endTime) {
-                this.deactivatePlayerPower();
-            }
-        }, 100);
+        const input = this.readInput();
+        this.pendingCommand = null;
+        this.pendingPowerSlot = null;
+        this.pendingBlink = false;
+        recordFrame(this.recording, input);
+        this.stepSimulation(input);
     }
 
-    deactivatePlayerPower() {
-        this.playerPower.active = false;
-        this.playerPower.type = null;
-        this.playerPower.hasPower = false;
-        if (this.playerPower.timer) {
-            clearInterval(this.playerPower.timer);
-            this.playerPower.timer = null;
+    stepSimulation(input) {
+        stepWorld(this.world, input);
+        if (!this.replay) recordGhostTick(this.track, this.world);
+        this.handleWorldEvents();
+        this.events.emit('tick', { tick: this.world.tick, time: this.world.time });
+        this.updatePlayerTrail();
+        this.updateParticles();
+        this.updatePopups();
+        this.updateGameOverDisplay();
+        if (this.world.player.infected) {
+            this.infectionProgress = Math.min(1, this.infectionProgress + 0.02);
         }
     }
-} 
\ No newline at end of file
+}
@@ -0,0 +1,177 @@
+// Achievements, unlocked from engine events. Each achievement names the event
+// it is checked on and a condition over that event, the counters below and
+// the world; adding one is a matter of adding an entry to ACHIEVEMENTS.
+//
+// Counters count every event type, per run, per level and per life (since
+// the last death), and track how long the current crowd of shapes has been
+// around. Counters start over when a saved run is continued, so conditions
+// that must hold for the whole run read the world instead. Unlocks are kept
+// in the browser; replays never unlock anything.
+
+import { GAME_EVENTS } from './eventBus';
+
+const ACHIEVEMENTS_KEY = 'lifeEscape.achievements';
+
+// Shapes that make a crowd for Crowd Surfer
+const CROWD_SIZE = 12;
+
+export const ACHIEVEMENTS = [
+    {
+        id: 'firstExit',
+        name: 'Way Out',
+        description: 'Clear your first level',
+        on: 'levelComplete',
+        check: () => true
+    },
+    {
+        id: 'bareHands',
+        name: 'Bare Hands',
+        description: 'Clear level 10 without picking up a power',
+        on: 'levelComplete',
+        check: (event, counters, world) => event.level >= 10 && world.powersAcquired === 0
+    },
+    {
+        id: 'exterminator',
+        name: 'Exterminator',
+        description: 'Eliminate 5 shapes with the Shape Eliminator in one run',
+        on: 'obstacleEliminated',
+        check: (event, counters) => count(counters.run, 'obstacleEliminated') >= 5
+    },
+    {
+        id: 'shapeShifter',
+        name: 'Shape Shifter',
+        description: 'Change 10 shapes with the Shape Shifter in one run',
+        on: 'obstacleShifted',
+        check: (event, counters) => count(counters.run, 'obstacleShifted') >= 10
+    },
+    {
+        id: 'crowdSurfer',
+        name: 'Crowd Surfer',
+        description: 'Survive 30 seconds with 12 or more shapes around',
+        on: 'tick',
+        check: (event, counters) => counters.crowdStartTime !== null &&
+            event.time - counters.crowdStartTime >= 30000
+    },
+    {
+        id: 'closeShave',
+        name: 'Close Shave',
+        description: 'Pull off 10 near misses in one run',
+        on: 'nearMiss',
+        check: (event, counters) => count(counters.run, 'nearMiss') >= 10
+    },
+    {
+        id: 'untouchable',
+        name: 'Untouchable',
+        description: 'Clear 5 levels in a row without dying',
+        on: 'levelComplete',
+        check: (event, counters) => count(counters.life, 'levelComplete') >= 5
+    },
+    {
+        id: 'comboMaster',
+        name: 'Combo Master',
+        description: 'Reach a x3 combo multiplier',
+        on: 'score',
+        check: event => event.multiplier >= 3
+    },
+    {
+        id: 'highRoller',
+        name: 'High Roller',
+        description: 'Score 10,000 points in one run',
+        on: 'score',
+        check: event => event.total >= 10000
+    },
+    {
+        id: 'graduate',
+        name: 'Graduate',
+        description: 'Complete a campaign',
+        on: 'campaignComplete',
+        check: () => true
+    }
+];
+
+function count(counts, type) {
+    return counts[type] || 0;
+}
+
+// Achievement id -> ISO date it was unlocked
+export function loadUnlockedAchievements() {
+    try {
+        const text = window.localStorage.getItem(ACHIEVEMENTS_KEY);
+        return text ? JSON.parse(text) : {};
+    } catch (error) {
+        // Storage unavailable or unreadable
+        return {};
+    }
+}
+
+function saveUnlockedAchievements(unlocked) {
+    try {
+        window.localStorage.setItem(ACHIEVEMENTS_KEY, JSON.stringify(unlocked));
+    } catch (error) {
+        // Storage full or unavailable; the unlock only lasts this session
+    }
+}
+
+// Watches an engine's events and calls `onUnlock(achievement)` for every
+// achievement unlocked for the first time. Returns a function that stops
+// watching.
+export function trackAchievements(engine, onUnlock) {
+    const unlocked = loadUnlockedAchievements();
+    const counters = {
+        run: {},
+        level: {},
+        life: {},
+        crowdStartTime: null // Since when there have been CROWD_SIZE shapes this life
+    };
+
+    const handle = (type, event) => {
+        if (engine.replay) return;
+
+        switch (type) {
+            case 'levelStart':
+            case 'levelReset':
+                counters.level = {};
+                break;
+            case 'death':
+                counters.life = {};
+                counters.crowdStartTime = null;
+                break;
+            case 'playerReset':
+                counters.crowdStartTime = null;
+                break;
+            case 'runRestored':
+                // Nothing counted so far belongs to the continued run
+                counters.run = {};
+                counters.level = {};
+                counters.life = {};
+                counters.crowdStartTime = null;
+                break;
+            case 'tick':
+                if (engine.world.obstacles.length < CROWD_SIZE) {
+                    counters.crowdStartTime = null;
+                } else if (counters.crowdStartTime === null) {
+                    counters.crowdStartTime = event.time;
+                }
+                break;
+            default:
+                break;
+        }
+        if (type !== 'tick' && type !== 'runRestored') {
+            [counters.run, counters.level, counters.life].forEach(counts => {
+                counts[type] = count(counts, type) + 1;
+            });
+        }
+
+        ACHIEVEMENTS.forEach(achievement => {
+            if (achievement.on !== type || unlocked[achievement.id]) return;
+            if (!achievement.check(event, counters, engine.world)) return;
+
+            unlocked[achievement.id] = new Date().toISOString();
+            saveUnlockedAchievements(unlocked);
+            onUnlock(achievement);
+        });
+    };
+
+    const unsubscribers = Object.keys(GAME_EVENTS).map(type => engine.on(type, event => handle(type, event)));
+    return () => unsubscribers.forEach(unsubscribe => unsubscribe());
+}
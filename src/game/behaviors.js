@@ -0,0 +1,251 @@
+// Obstacle behavior strategies. Every obstacle names one of these in its
+// `behavior` field; while it can see (is not blind) the behavior's `steer`
+// sets the obstacle's velocity for the tick. Blind wandering, bouncing and
+// collisions stay shared in the simulation.
+//
+// A behavior is { name, minLevel, weight, steer(world, obstacle, speed, context) }
+// with an optional `createTraits(world)` returning the fields a procedurally
+// generated obstacle needs and an optional `groupSize` for behaviors that
+// spawn together. `context` is shared by all obstacles during one tick.
+// New behaviors are added as entries of BEHAVIORS below.
+
+import { nextRandom } from './rng';
+import { NAV_CELL_SIZE, getNavGrid, hasLineOfSight, findPath } from './navigation';
+
+// Routing around walls: each obstacle refreshes its route at most this often,
+// and at most this many routes are searched per tick across all obstacles
+const PATH_REFRESH_TICKS = 30;
+export const PATH_SEARCHES_PER_TICK = 2;
+
+// Furthest ahead an interceptor will aim, in ticks
+const MAX_LEAD_TICKS = 60;
+
+// Flocking weights and how far a pack member looks for the rest of its pack
+const PACK_RADIUS = 150;
+const PACK_SEEK_WEIGHT = 1;
+const PACK_SEPARATION_WEIGHT = 1.5;
+const PACK_COHESION_WEIGHT = 0.5;
+const PACK_ALIGNMENT_WEIGHT = 0.5;
+
+export const DEFAULT_ORBIT_RADIUS = 120;
+export const DEFAULT_TRIGGER_RADIUS = 180;
+
+// How far round the orbit an orbiter aims ahead of itself, in radians
+const ORBIT_LEAD_ANGLE = 0.4;
+
+export const BEHAVIORS = {
+    'chaser': {
+        name: 'Chaser',
+        minLevel: 1,
+        weight: 3,
+        steer: (world, obstacle, speed, context) => {
+            steerTowards(obstacle, routeTowards(world, obstacle, world.player, context), speed);
+        }
+    },
+    'patroller': {
+        name: 'Patroller',
+        minLevel: 2,
+        weight: 1,
+        createTraits: (world) => ({
+            waypoints: [0, 1, 2].map(() => ({
+                x: Math.round(nextRandom(world.rng) * (world.width - 200) + 100),
+                y: Math.round(nextRandom(world.rng) * (world.height - 200) + 100)
+            }))
+        }),
+        steer: (world, obstacle, speed, context) => {
+            let waypoint = obstacle.waypoints[obstacle.waypointIndex % obstacle.waypoints.length];
+            const dx = waypoint.x - obstacle.x;
+            const dy = waypoint.y - obstacle.y;
+            if (Math.sqrt(dx * dx + dy * dy) < NAV_CELL_SIZE) {
+                obstacle.waypointIndex = (obstacle.waypointIndex + 1) % obstacle.waypoints.length;
+                waypoint = obstacle.waypoints[obstacle.waypointIndex];
+                // The old route led to the waypoint just reached
+                obstacle.path = null;
+                obstacle.nextPathTick = world.tick;
+            }
+            steerTowards(obstacle, routeTowards(world, obstacle, waypoint, context), speed);
+        }
+    },
+    'interceptor': {
+        name: 'Interceptor',
+        minLevel: 3,
+        weight: 1,
+        steer: (world, obstacle, speed, context) => {
+            const { player, lastPlayerPosition } = world;
+            const velocityX = player.x - lastPlayerPosition.x;
+            const velocityY = player.y - lastPlayerPosition.y;
+
+            // Aim where the player will be by the time this obstacle gets there
+            const dx = player.x - obstacle.x;
+            const dy = player.y - obstacle.y;
+            const ownSpeed = Math.max(speed * obstacle.chaseAccuracy, 0.1);
+            const leadTicks = Math.min(Math.sqrt(dx * dx + dy * dy) / ownSpeed, MAX_LEAD_TICKS);
+            const target = {
+                x: Math.max(0, Math.min(world.width, player.x + velocityX * leadTicks)),
+                y: Math.max(0, Math.min(world.height, player.y + velocityY * leadTicks))
+            };
+            steerTowards(obstacle, routeTowards(world, obstacle, target, context), speed);
+        }
+    },
+    'orbiter': {
+        name: 'Orbiter',
+        minLevel: 3,
+        weight: 1,
+        createTraits: (world) => ({
+            orbitRadius: Math.round(80 + nextRandom(world.rng) * 80)
+        }),
+        steer: (world, obstacle, speed, context) => {
+            // Circle the exit, aiming a little further round than it is now
+            const centerX = world.exit.x + world.exit.width / 2;
+            const centerY = world.exit.y + world.exit.height / 2;
+            const angle = Math.atan2(obstacle.y - centerY, obstacle.x - centerX) + ORBIT_LEAD_ANGLE;
+            const target = {
+                x: Math.max(0, Math.min(world.width, centerX + Math.cos(angle) * obstacle.orbitRadius)),
+                y: Math.max(0, Math.min(world.height, centerY + Math.sin(angle) * obstacle.orbitRadius))
+            };
+            steerTowards(obstacle, routeTowards(world, obstacle, target, context), speed);
+        }
+    },
+    'pack': {
+        name: 'Pack',
+        minLevel: 4,
+        weight: 1,
+        groupSize: 3,
+        steer: (world, obstacle, speed, context) => {
+            const seek = unitTowards(obstacle, routeTowards(world, obstacle, world.player, context));
+            const separation = { x: 0, y: 0 };
+            const center = { x: 0, y: 0 };
+            const heading = { x: 0, y: 0 };
+            let neighbours = 0;
+
+            world.obstacles.forEach(other => {
+                if (other === obstacle || other.behavior !== 'pack') return;
+                const dx = obstacle.x - other.x;
+                const dy = obstacle.y - other.y;
+                const distance = Math.sqrt(dx * dx + dy * dy);
+                if (distance === 0 || distance > PACK_RADIUS) return;
+
+                // Push away harder the closer a packmate is
+                separation.x += dx / (distance * distance) * obstacle.size;
+                separation.y += dy / (distance * distance) * obstacle.size;
+                center.x += other.x;
+                center.y += other.y;
+                heading.x += other.speedX;
+                heading.y += other.speedY;
+                neighbours++;
+            });
+
+            let directionX = seek.x * PACK_SEEK_WEIGHT;
+            let directionY = seek.y * PACK_SEEK_WEIGHT;
+            if (neighbours > 0) {
+                const cohesion = unitTowards(obstacle, { x: center.x / neighbours, y: center.y / neighbours });
+                const alignment = normalize(heading.x, heading.y);
+                directionX += separation.x * PACK_SEPARATION_WEIGHT +
+                    cohesion.x * PACK_COHESION_WEIGHT + alignment.x * PACK_ALIGNMENT_WEIGHT;
+                directionY += separation.y * PACK_SEPARATION_WEIGHT +
+                    cohesion.y * PACK_COHESION_WEIGHT + alignment.y * PACK_ALIGNMENT_WEIGHT;
+            }
+
+            const direction = normalize(directionX, directionY);
+            obstacle.speedX = direction.x * speed * obstacle.chaseAccuracy;
+            obstacle.speedY = direction.y * speed * obstacle.chaseAccuracy;
+        }
+    },
+    'ambusher': {
+        name: 'Ambusher',
+        minLevel: 2,
+        weight: 1,
+        createTraits: (world) => ({
+            triggerRadius: Math.round(150 + nextRandom(world.rng) * 70)
+        }),
+        steer: (world, obstacle, speed, context) => {
+            const dx = world.player.x - obstacle.x;
+            const dy = world.player.y - obstacle.y;
+            const distance = Math.sqrt(dx * dx + dy * dy);
+
+            // Lie in wait until the player comes close, give up once they are well away
+            if (distance < obstacle.triggerRadius) {
+                obstacle.triggered = true;
+            } else if (distance > obstacle.triggerRadius * 2) {
+                obstacle.triggered = false;
+            }
+
+            if (obstacle.triggered) {
+                steerTowards(obstacle, routeTowards(world, obstacle, world.player, context), speed);
+            } else {
+                obstacle.speedX *= 0.9;
+                obstacle.speedY *= 0.9;
+            }
+        }
+    }
+};
+
+// Picks a behavior for a generated obstacle among those unlocked by the level
+export function pickBehavior(world) {
+    const unlocked = Object.entries(BEHAVIORS).filter(([, behavior]) => behavior.minLevel <= world.level);
+    const totalWeight = unlocked.reduce((total, [, behavior]) => total + behavior.weight, 0);
+    let roll = nextRandom(world.rng) * totalWeight;
+    for (const [type, behavior] of unlocked) {
+        roll -= behavior.weight;
+        if (roll < 0) return type;
+    }
+    return unlocked[unlocked.length - 1][0];
+}
+
+// Behavior plus any fields it needs, for a procedurally generated obstacle
+export function createBehaviorTraits(world, type) {
+    const behavior = BEHAVIORS[type];
+    return { behavior: type, ...(behavior.createTraits ? behavior.createTraits(world) : {}) };
+}
+
+function normalize(x, y) {
+    const length = Math.sqrt(x * x + y * y);
+    return length > 0 ? { x: x / length, y: y / length } : { x: 0, y: 0 };
+}
+
+function unitTowards(obstacle, target) {
+    return normalize(target.x - obstacle.x, target.y - obstacle.y);
+}
+
+// Heads straight for `target` as fast as the obstacle's accuracy allows
+function steerTowards(obstacle, target, speed) {
+    const dx = target.x - obstacle.x;
+    const dy = target.y - obstacle.y;
+    const distance = Math.sqrt(dx * dx + dy * dy);
+
+    if (distance > 0) {
+        obstacle.speedX = (dx / distance) * speed * obstacle.chaseAccuracy;
+        obstacle.speedY = (dy / distance) * speed * obstacle.chaseAccuracy;
+    }
+}
+
+// Where to head this tick to reach `goal`: the goal itself when it is in
+// sight, otherwise the next waypoint of an A* route around the walls
+function routeTowards(world, obstacle, goal, context) {
+    if (world.walls.length === 0) return goal;
+
+    const grid = getNavGrid(world, obstacle.size);
+    if (hasLineOfSight(grid, obstacle.x, obstacle.y, goal.x, goal.y)) {
+        // Search again as soon as sight is lost
+        obstacle.path = null;
+        obstacle.nextPathTick = world.tick;
+        return goal;
+    }
+
+    if (world.tick >= obstacle.nextPathTick && context.pathSearches > 0) {
+        context.pathSearches--;
+        obstacle.path = findPath(grid, obstacle.x, obstacle.y, goal.x, goal.y) || [];
+        obstacle.nextPathTick = world.tick + PATH_REFRESH_TICKS;
+    }
+
+    // Drop waypoints already reached
+    const path = obstacle.path;
+    while (path && path.length > 1 &&
+        Math.abs(path[0].x - obstacle.x) < NAV_CELL_SIZE / 2 &&
+        Math.abs(path[0].y - obstacle.y) < NAV_CELL_SIZE / 2) {
+        path.shift();
+    }
+
+    // No route yet (or none at all); keep pressing towards the goal
+    return path && path.length > 0 ? path[0] : goal;
+}
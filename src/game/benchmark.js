@@ -0,0 +1,44 @@
+// Headless simulation benchmark: fills an open arena with generated shapes
+// and times how many ticks the simulation runs per second. Nothing is drawn,
+// so the result measures the game rules alone.
+
+import { createWorld, stepWorld, spawnObstacles, EMPTY_INPUT } from './simulation';
+
+export const BENCHMARK_SHAPE_COUNTS = [100, 250, 500];
+const BENCHMARK_TICKS = 600;
+const BENCHMARK_SEED = 1;
+
+// Every behavior is unlocked from this level on
+const BENCHMARK_LEVEL = 4;
+
+// Paces up and down by the entrance so the stuck timer never restarts the
+// level and throws the spawned shapes away
+function benchmarkInput(tick) {
+    const up = Math.floor(tick / 30) % 2 === 0;
+    return { ...EMPTY_INPUT, up, down: !up };
+}
+
+export function runBenchmark(shapes, ticks = BENCHMARK_TICKS) {
+    const world = createWorld({ level: BENCHMARK_LEVEL, seed: BENCHMARK_SEED });
+    spawnObstacles(world, shapes);
+    // The player cannot be hit, so every timed tick runs the whole simulation
+    // instead of stopping once the lives run out
+    world.invulnerableUntil = Infinity;
+
+    const start = performance.now();
+    for (let tick = 0; tick < ticks; tick++) {
+        stepWorld(world, benchmarkInput(tick));
+    }
+    const milliseconds = performance.now() - start;
+
+    if (world.gameOver) {
+        throw new Error(`Benchmark run with ${shapes} shapes ended early, so its timing is not valid`);
+    }
+
+    return {
+        shapes,
+        ticks,
+        milliseconds,
+        ticksPerSecond: milliseconds > 0 ? ticks * 1000 / milliseconds : Infinity
+    };
+}
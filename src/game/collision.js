@@ -0,0 +1,70 @@
+// Obstacle collision against the convex parts of each shape's hull from the
+// shape registry, by the separating axis theorem. A circle and a convex
+// polygon overlap unless one of the polygon's edge normals, or the axis from
+// the polygon's closest corner to the circle's center, separates them.
+
+import { SHAPES, hullRadius } from './shapes';
+
+// Whether the projections of the circle and polygon on an axis are apart
+function separatedOnAxis(x, y, radius, points, axisX, axisY) {
+    let min = Infinity;
+    let max = -Infinity;
+    for (let i = 0; i < points.length; i++) {
+        const projection = points[i].x * axisX + points[i].y * axisY;
+        if (projection < min) min = projection;
+        if (projection > max) max = projection;
+    }
+    const center = x * axisX + y * axisY;
+    return center + radius <= min || center - radius >= max;
+}
+
+export function circleIntersectsConvex(x, y, radius, points) {
+    let closest = null;
+    let closestDistanceSquared = Infinity;
+
+    for (let i = 0, j = points.length - 1; i < points.length; j = i++) {
+        const edgeX = points[i].x - points[j].x;
+        const edgeY = points[i].y - points[j].y;
+        const length = Math.sqrt(edgeX * edgeX + edgeY * edgeY);
+        if (length > 0 && separatedOnAxis(x, y, radius, points, -edgeY / length, edgeX / length)) {
+            return false;
+        }
+
+        const dx = x - points[i].x;
+        const dy = y - points[i].y;
+        if (dx * dx + dy * dy < closestDistanceSquared) {
+            closest = points[i];
+            closestDistanceSquared = dx * dx + dy * dy;
+        }
+    }
+
+    const distance = Math.sqrt(closestDistanceSquared);
+    if (distance === 0) return true;
+    return !separatedOnAxis(x, y, radius, points, (x - closest.x) / distance, (y - closest.y) / distance);
+}
+
+// Whether a circle touches an obstacle's rotated, scaled hull
+export function circleHitsObstacle(x, y, radius, obstacle) {
+    const dx = x - obstacle.x;
+    const dy = y - obstacle.y;
+    const reach = radius + hullRadius(obstacle.shape) * obstacle.size;
+    if (dx * dx + dy * dy >= reach * reach) return false;
+
+    // Test in the shape's own frame, where the hull is defined
+    const cos = Math.cos(obstacle.rotation);
+    const sin = Math.sin(obstacle.rotation);
+    const localX = (dx * cos + dy * sin) / obstacle.size;
+    const localY = (dy * cos - dx * sin) / obstacle.size;
+    const localRadius = radius / obstacle.size;
+    return SHAPES[obstacle.shape].hull.some(part => circleIntersectsConvex(localX, localY, localRadius, part));
+}
+
+// Hull parts of an obstacle in world coordinates, e.g. for drawing
+export function obstacleHull(obstacle) {
+    const cos = Math.cos(obstacle.rotation);
+    const sin = Math.sin(obstacle.rotation);
+    return SHAPES[obstacle.shape].hull.map(part => part.map(point => ({
+        x: obstacle.x + (point.x * cos - point.y * sin) * obstacle.size,
+        y: obstacle.y + (point.x * sin + point.y * cos) * obstacle.size
+    })));
+}
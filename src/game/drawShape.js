@@ -0,0 +1,156 @@
+// Canvas drawing for obstacle shapes and power-up pickups, shared by the game
+// and the level editor
+
+import { SUPER_POWERS, RARITY_TIERS, PICKUP_RADIUS } from './simulation';
+import { SHAPES } from './shapes';
+import { obstacleHull } from './collision';
+
+// Symbol drawn on a power's icon to tell the powers apart
+const POWER_GLYPHS = {
+    'star': (ctx, size) => {
+        // Shape change symbol (circular arrows)
+        ctx.beginPath();
+        ctx.arc(0, 0, size * 0.3, 0, Math.PI * 2);
+        ctx.stroke();
+        ctx.beginPath();
+        ctx.arc(0, 0, size * 0.2, 0, Math.PI * 2);
+        ctx.stroke();
+        ctx.beginPath();
+        ctx.moveTo(size * 0.3, 0);
+        ctx.lineTo(size * 0.4, -size * 0.1);
+        ctx.lineTo(size * 0.4, size * 0.1);
+        ctx.fill();
+    },
+    'star_eliminator': (ctx, size) => {
+        // Elimination symbol (X)
+        ctx.beginPath();
+        ctx.moveTo(-size * 0.2, -size * 0.2);
+        ctx.lineTo(size * 0.2, size * 0.2);
+        ctx.moveTo(size * 0.2, -size * 0.2);
+        ctx.lineTo(-size * 0.2, size * 0.2);
+        ctx.lineWidth = 3;
+        ctx.stroke();
+    },
+    'star_reducer': (ctx, size) => {
+        // Size decrease symbol (-)
+        ctx.beginPath();
+        ctx.moveTo(-size * 0.2, 0);
+        ctx.lineTo(size * 0.2, 0);
+        ctx.lineWidth = 3;
+        ctx.stroke();
+    },
+    'star_freeze': (ctx, size) => {
+        // Snowflake symbol (three crossed lines)
+        ctx.beginPath();
+        for (let i = 0; i < 3; i++) {
+            const angle = i * Math.PI / 3;
+            ctx.moveTo(Math.cos(angle) * size * 0.25, Math.sin(angle) * size * 0.25);
+            ctx.lineTo(-Math.cos(angle) * size * 0.25, -Math.sin(angle) * size * 0.25);
+        }
+        ctx.lineWidth = 2;
+        ctx.stroke();
+    },
+    'star_shield': (ctx, size) => {
+        // Shield symbol
+        ctx.beginPath();
+        ctx.moveTo(-size * 0.2, -size * 0.2);
+        ctx.lineTo(size * 0.2, -size * 0.2);
+        ctx.lineTo(size * 0.2, 0);
+        ctx.quadraticCurveTo(size * 0.2, size * 0.2, 0, size * 0.3);
+        ctx.quadraticCurveTo(-size * 0.2, size * 0.2, -size * 0.2, 0);
+        ctx.closePath();
+        ctx.lineWidth = 2;
+        ctx.stroke();
+    },
+    'star_magnet': (ctx, size) => {
+        // Magnet symbol (U)
+        ctx.beginPath();
+        ctx.moveTo(-size * 0.2, -size * 0.25);
+        ctx.lineTo(-size * 0.2, 0);
+        ctx.arc(0, 0, size * 0.2, Math.PI, 0, true);
+        ctx.lineTo(size * 0.2, -size * 0.25);
+        ctx.lineWidth = 3;
+        ctx.stroke();
+    },
+    'star_blink': (ctx, size) => {
+        // Blink symbol (double chevron)
+        ctx.beginPath();
+        [-0.15, 0.05].forEach(offset => {
+            ctx.moveTo(size * offset, -size * 0.2);
+            ctx.lineTo(size * (offset + 0.15), 0);
+            ctx.lineTo(size * offset, size * 0.2);
+        });
+        ctx.lineWidth = 3;
+        ctx.stroke();
+    }
+};
+
+// Draws `shape` ({ shape, x, y, size, rotation, color }) centered on its
+// position
+export function drawShape(ctx, shape) {
+    ctx.save();
+    ctx.translate(shape.x, shape.y);
+    ctx.rotate(shape.rotation);
+    ctx.beginPath();
+    ctx.fillStyle = shape.color;
+    SHAPES[shape.shape].path(ctx, shape.size);
+    ctx.closePath();
+    ctx.fill();
+    ctx.restore();
+}
+
+// Draws a pickup ({ power, x, y }): the power's icon in a glow of its rarity
+// color that pulses with `time`. `dimmed` pickups (no room to collect them)
+// are drawn faded.
+export function drawPickup(ctx, pickup, { time = 0, dimmed = false } = {}) {
+    const { color } = RARITY_TIERS[SUPER_POWERS[pickup.power].rarity];
+    const glowRadius = PICKUP_RADIUS * (1.6 + Math.sin(time / 200) * 0.2);
+
+    ctx.save();
+    if (dimmed) ctx.globalAlpha = 0.4;
+    const glow = ctx.createRadialGradient(pickup.x, pickup.y, PICKUP_RADIUS * 0.5, pickup.x, pickup.y, glowRadius);
+    glow.addColorStop(0, color);
+    glow.addColorStop(1, 'rgba(255, 255, 255, 0)');
+    ctx.fillStyle = glow;
+    ctx.beginPath();
+    ctx.arc(pickup.x, pickup.y, glowRadius, 0, Math.PI * 2);
+    ctx.fill();
+    drawPowerIcon(ctx, pickup.power, pickup.x, pickup.y, PICKUP_RADIUS);
+    ctx.restore();
+}
+
+// Draws a power's symbol on a star of its color, centered on (x, y), for
+// pickups and the inventory slots
+export function drawPowerIcon(ctx, powerType, x, y, size) {
+    ctx.save();
+    ctx.translate(x, y);
+    ctx.beginPath();
+    ctx.fillStyle = SUPER_POWERS[powerType].color;
+    SHAPES.star.path(ctx, size);
+    ctx.closePath();
+    ctx.fill();
+
+    ctx.fillStyle = '#FFFFFF';
+    ctx.strokeStyle = '#FFFFFF';
+    if (POWER_GLYPHS[powerType]) {
+        POWER_GLYPHS[powerType](ctx, size);
+    }
+    ctx.restore();
+}
+
+// Outlines each convex part of a shape's collision hull
+export function drawHull(ctx, shape, color) {
+    ctx.save();
+    ctx.strokeStyle = color;
+    ctx.lineWidth = 1;
+    obstacleHull(shape).forEach(part => {
+        ctx.beginPath();
+        part.forEach((point, i) => {
+            if (i === 0) ctx.moveTo(point.x, point.y);
+            else ctx.lineTo(point.x, point.y);
+        });
+        ctx.closePath();
+        ctx.stroke();
+    });
+    ctx.restore();
+}
@@ -0,0 +1,24 @@
+// Canvas drawing for static walls, shared by the game and the level editor
+
+// Fills every wall polygon with a slightly darker outline
+export function drawWalls(ctx, walls) {
+    ctx.save();
+    ctx.lineJoin = 'round';
+    ctx.lineWidth = 2;
+    walls.forEach(wall => {
+        ctx.fillStyle = wall.color;
+        ctx.strokeStyle = 'rgba(0, 0, 0, 0.25)';
+        ctx.beginPath();
+        wall.points.forEach((point, index) => {
+            if (index === 0) {
+                ctx.moveTo(point.x, point.y);
+            } else {
+                ctx.lineTo(point.x, point.y);
+            }
+        });
+        ctx.closePath();
+        ctx.fill();
+        ctx.stroke();
+    });
+    ctx.restore();
+}
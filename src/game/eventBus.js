@@ -0,0 +1,89 @@
+// Typed publish/subscribe for everything the engine reports. UI, sound,
+// analytics or achievements subscribe to these events instead of reaching
+// into the engine or the world.
+//
+// Every event type is declared here with the fields its payload carries;
+// publishing or subscribing to anything else is an error, and outside
+// production a payload missing one of its fields is too.
+
+export const GAME_EVENTS = {
+    // Simulation events, reported on the tick they happen
+    collision: ['x', 'y', 'shape'], // The player started touching a shape
+    nearMiss: ['x', 'y', 'shape'], // The player passed a shape closely without touching it
+    death: ['x', 'y', 'color', 'lives'], // `lives` is what is left
+    gameOver: ['level', 'levelName', 'time', 'score'], // Last life lost; summary of the run
+    pickupSpawned: ['power', 'rarity', 'x', 'y'],
+    pickupExpired: ['power', 'x', 'y'], // Left lying around until it vanished
+    powerAcquired: ['power', 'slot', 'charges', 'x', 'y', 'color'], // Picked up into an inventory slot
+    powerActivated: ['power', 'slot', 'refreshed', 'x', 'y', 'color'], // `refreshed` if it was already running
+    powerApplied: ['x', 'y', 'color'], // An active power touched a shape
+    powerExpired: ['power'], // The running power ended, whether it ran out, broke or was replaced
+    shieldBroken: ['x', 'y'], // The shield took a hit in the player's place
+    blink: ['fromX', 'fromY', 'x', 'y'], // The player teleported
+    obstacleEliminated: ['x', 'y', 'shape'],
+    obstacleShrunk: ['x', 'y', 'shape', 'size'],
+    obstacleShifted: ['x', 'y', 'shape', 'previous'],
+    obstacleStateChange: ['state', 'previous', 'x', 'y'],
+    playerReset: [],
+    levelStart: ['level', 'name'],
+    levelReset: [],
+    levelComplete: ['level', 'time'], // `time` the level took
+    campaignComplete: ['name'],
+    score: ['reason', 'points', 'total', 'multiplier', 'x', 'y'], // Points awarded, see ./scoring
+
+    // Engine events
+    tick: ['tick', 'time'], // After every simulation step, once its events are out
+    runRestored: ['tick', 'time'], // A saved run was continued; its world replaced the current one
+    pause: ['paused'],
+    replayUpdate: ['frame', 'frameCount', 'paused', 'speed', 'level']
+};
+
+function checkType(type) {
+    if (!GAME_EVENTS[type]) {
+        throw new TypeError(`Unknown game event "${type}"`);
+    }
+}
+
+export class EventBus {
+    constructor() {
+        this.listeners = new Map();
+    }
+
+    // Subscribes to one event type; returns a function that unsubscribes
+    on(type, listener) {
+        checkType(type);
+        if (!this.listeners.has(type)) this.listeners.set(type, new Set());
+        this.listeners.get(type).add(listener);
+        return () => this.off(type, listener);
+    }
+
+    off(type, listener) {
+        const listeners = this.listeners.get(type);
+        if (listeners) listeners.delete(listener);
+    }
+
+    emit(type, payload = {}) {
+        checkType(type);
+        if (process.env.NODE_ENV !== 'production') {
+            const missing = GAME_EVENTS[type].filter(field => !(field in payload));
+            if (missing.length > 0) {
+                throw new TypeError(`Game event "${type}" is missing ${missing.join(', ')}`);
+            }
+        }
+
+        const listeners = this.listeners.get(type);
+        if (!listeners) return;
+        // A failing subscriber must not stop the game or the other subscribers
+        [...listeners].forEach(listener => {
+            try {
+                listener(payload);
+            } catch (error) {
+                console.error(`Error in "${type}" listener`, error);
+            }
+        });
+    }
+
+    clear() {
+        this.listeners.clear();
+    }
+}
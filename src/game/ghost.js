@@ -0,0 +1,102 @@
+// Personal best run storage and the ghost built from it. A ghost track holds,
+// per level, the player position on every tick since that level started and
+// the run tick its exit was reached. The live run records its own track as it
+// plays, and a new best stores that track, so racing a ghost never has to
+// re-simulate the best run.
+
+import { importReplay, simulateReplay } from './replay';
+
+const BEST_RUN_KEY = 'lifeEscape.bestRun';
+
+// Positions are kept to a tenth of a pixel so a stored track stays small
+const POSITION_PRECISION = 10;
+
+// Procedural runs and each campaign keep their own personal best
+function bestRunKey(campaign) {
+    return campaign ? `${BEST_RUN_KEY}.${campaign.name}` : BEST_RUN_KEY;
+}
+
+// Returns the ghost of the stored best run as { levels, best }, or null
+export function loadBestRun(campaign = null) {
+    try {
+        const text = window.localStorage.getItem(bestRunKey(campaign));
+        if (!text) return null;
+
+        const data = JSON.parse(text);
+        let levels = data.levels;
+        if (!levels) {
+            // Best runs used to be stored as replays; build their track once
+            levels = analyzeRun(importReplay(text)).levels;
+            saveBestRun(campaign, { levels });
+        }
+        return { levels, best: bestSplit(levels) };
+    } catch (error) {
+        // Storage unavailable or the saved run is unreadable
+        return null;
+    }
+}
+
+export function saveBestRun(campaign, track) {
+    try {
+        window.localStorage.setItem(bestRunKey(campaign), JSON.stringify({ levels: track.levels }));
+    } catch (error) {
+        // Storage full or unavailable; racing simply continues without saving
+    }
+}
+
+// An empty track for a run starting from `world`
+export function createGhostTrack(world) {
+    return {
+        level: world.level,
+        levels: { [world.level]: { startTick: world.tick, positions: [], splitTick: null } }
+    };
+}
+
+// Adds the tick `world` was just stepped to. Positions are stored flat as
+// x, y pairs, indexed by ticks since the level started.
+export function recordGhostTick(track, world) {
+    world.events.forEach(event => {
+        if (event.type === 'levelComplete') {
+            track.levels[track.level].splitTick = world.tick;
+        } else if (event.type === 'levelStart') {
+            track.level = event.level;
+            track.levels[event.level] = { startTick: world.tick, positions: [], splitTick: null };
+        }
+    });
+
+    const current = track.levels[track.level];
+    const index = (world.tick - current.startTick) * 2;
+    current.positions[index] = Math.round(world.player.x * POSITION_PRECISION) / POSITION_PRECISION;
+    current.positions[index + 1] = Math.round(world.player.y * POSITION_PRECISION) / POSITION_PRECISION;
+}
+
+// Where the ghost was `ticks` after starting `level`, or null
+export function ghostPosition(ghost, level, ticks) {
+    const data = ghost.levels[level];
+    const x = data && data.positions[ticks * 2];
+    if (x === undefined || x === null) return null;
+    return { x, y: data.positions[ticks * 2 + 1] };
+}
+
+// Re-simulates a recording into a ghost track
+function analyzeRun(recording) {
+    const track = createGhostTrack({ level: recording.level, tick: 0 });
+    simulateReplay(recording, recording.frames.length, world => recordGhostTick(track, world));
+    return { levels: track.levels, best: bestSplit(track.levels) };
+}
+
+// Furthest level exit reached and when, used to decide if a run is a new best
+export function bestSplit(levels) {
+    let best = { level: 0, tick: Infinity };
+    Object.entries(levels).forEach(([level, data]) => {
+        const levelNumber = Number(level);
+        if (data.splitTick !== null && levelNumber > best.level) {
+            best = { level: levelNumber, tick: data.splitTick };
+        }
+    });
+    return best;
+}
+
+export function isBetterSplit(split, best) {
+    return split.level > best.level || (split.level === best.level && split.tick < best.tick);
+}
@@ -0,0 +1,365 @@
+// Declarative level format. A level definition is plain JSON describing the
+// portals, the obstacles, any power-up pickups and how the level is won:
+//
+// {
+//   "name": "Warm Up",
+//   "entrance": { "x": 0, "y": 250, "width": 20, "height": 100 },
+//   "exit": { "x": 780, "y": 250, "width": 20, "height": 100 },
+//   "obstacles": [
+//     { "shape": "hexagon", "x": 400, "y": 300, "size": 40, "color": "#FF4500",
+//       "chaseAccuracy": 0.6, "blindChance": 0.3,
+//       "blindDurationRange": { "min": 1000, "max": 3000 } },
+//     { "shape": "square", "x": 200, "y": 100, "behavior": "patroller",
+//       "waypoints": [{ "x": 200, "y": 100 }, { "x": 600, "y": 100 }],
+//       "startState": "idle", "startStateDuration": 2000 }
+//   ],
+//   "pickups": [{ "power": "star_reducer", "x": 600, "y": 120, "lifetime": 8000 }],
+//   "walls": [
+//     { "type": "segment", "x1": 300, "y1": 0, "x2": 300, "y2": 350, "thickness": 12 },
+//     { "type": "polygon", "points": [{ "x": 500, "y": 200 }, { "x": 560, "y": 300 }, { "x": 440, "y": 300 }] }
+//   ],
+//   "winConditions": [{ "type": "surviveTime", "seconds": 10 }, { "type": "reachExit" }]
+// }
+//
+// A campaign is { "name": ..., "levels": [...] }. Parsing validates every
+// field and fills in defaults; errors name the offending field path.
+
+import { SUPER_POWERS, OBSTACLE_COLORS } from './simulation';
+import { SHAPES, SHAPE_TYPES } from './shapes';
+import { WALL_COLOR, segmentToPolygon, pointInPolygon } from './walls';
+import { BEHAVIORS, DEFAULT_ORBIT_RADIUS, DEFAULT_TRIGGER_RADIUS } from './behaviors';
+import { START_STATES } from './obstacleStates';
+
+export class LevelValidationError extends Error {
+    constructor(field, message) {
+        super(`${field}: ${message}`);
+        this.name = 'LevelValidationError';
+        this.field = field;
+    }
+}
+
+// Win condition types; a level is complete once all of its conditions hold
+export const WIN_CONDITION_TYPES = ['reachExit', 'surviveTime', 'eliminateAll'];
+
+export const WALL_TYPES = ['segment', 'polygon'];
+
+export const DEFAULT_WALL_THICKNESS = 12;
+
+const DEFAULT_WIN_CONDITIONS = [{ type: 'reachExit' }];
+
+const OBSTACLE_DEFAULTS = {
+    size: 40,
+    color: OBSTACLE_COLORS[0].base,
+    chaseAccuracy: 0.75,
+    blindChance: 0.3,
+    blindDurationRange: { min: 1000, max: 3000 },
+    rotation: 0,
+    rotationSpeed: 0
+};
+
+function requireObject(value, field) {
+    if (!value || typeof value !== 'object' || Array.isArray(value)) {
+        throw new LevelValidationError(field, 'must be an object');
+    }
+    return value;
+}
+
+function requireArray(value, field) {
+    if (!Array.isArray(value)) {
+        throw new LevelValidationError(field, 'must be an array');
+    }
+    return value;
+}
+
+function requireNumber(value, field, { min = -Infinity, max = Infinity } = {}) {
+    if (typeof value !== 'number' || !Number.isFinite(value)) {
+        throw new LevelValidationError(field, 'must be a number');
+    }
+    if (value < min || value > max) {
+        throw new LevelValidationError(field, `must be between ${min} and ${max}`);
+    }
+    return value;
+}
+
+function optionalNumber(value, field, fallback, range) {
+    return value === undefined ? fallback : requireNumber(value, field, range);
+}
+
+function requireOneOf(value, field, options) {
+    if (!options.includes(value)) {
+        throw new LevelValidationError(field, `must be one of ${options.join(', ')}`);
+    }
+    return value;
+}
+
+function optionalColor(value, field, fallback) {
+    if (value === undefined) return fallback;
+    if (typeof value !== 'string' || !/^#[0-9a-fA-F]{6}$/.test(value)) {
+        throw new LevelValidationError(field, 'must be a color like "#FF4500"');
+    }
+    return value.toUpperCase();
+}
+
+// Lighter variant used while an obstacle is blind
+function lightenColor(color) {
+    const channel = (offset) => {
+        const value = parseInt(color.substring(offset, offset + 2), 16);
+        return Math.round(value + (255 - value) * 0.4).toString(16).padStart(2, '0');
+    };
+    return `#${channel(1)}${channel(3)}${channel(5)}`.toUpperCase();
+}
+
+function parseRect(value, field, world) {
+    requireObject(value, field);
+    const rect = {
+        x: requireNumber(value.x, `${field}.x`, { min: 0, max: world.width }),
+        y: requireNumber(value.y, `${field}.y`, { min: 0, max: world.height }),
+        width: requireNumber(value.width, `${field}.width`, { min: 1, max: world.width }),
+        height: requireNumber(value.height, `${field}.height`, { min: 1, max: world.height })
+    };
+    if (rect.x + rect.width > world.width || rect.y + rect.height > world.height) {
+        throw new LevelValidationError(field, `must fit inside the ${world.width}x${world.height} arena`);
+    }
+    return rect;
+}
+
+function parseBlindDurationRange(value, field) {
+    if (value === undefined) return { ...OBSTACLE_DEFAULTS.blindDurationRange };
+
+    requireObject(value, field);
+    const range = {
+        min: requireNumber(value.min, `${field}.min`, { min: 0 }),
+        max: requireNumber(value.max, `${field}.max`, { min: 0 })
+    };
+    if (range.max < range.min) {
+        throw new LevelValidationError(`${field}.max`, 'must not be less than min');
+    }
+    return range;
+}
+
+function parsePoint(value, field, world) {
+    requireObject(value, field);
+    return {
+        x: requireNumber(value.x, `${field}.x`, { min: 0, max: world.width }),
+        y: requireNumber(value.y, `${field}.y`, { min: 0, max: world.height })
+    };
+}
+
+// Behavior name plus the fields that behavior needs; the shape's default
+// behavior, or chaser, when none is given
+function parseBehavior(value, field, world, shape) {
+    const behavior = value.behavior === undefined
+        ? SHAPES[shape].behavior || 'chaser'
+        : requireOneOf(value.behavior, `${field}.behavior`, Object.keys(BEHAVIORS));
+
+    switch (behavior) {
+        case 'patroller': {
+            const waypoints = requireArray(value.waypoints, `${field}.waypoints`)
+                .map((point, i) => parsePoint(point, `${field}.waypoints[${i}]`, world));
+            if (waypoints.length < 2) {
+                throw new LevelValidationError(`${field}.waypoints`, 'must have at least 2 points');
+            }
+            return { behavior, waypoints };
+        }
+        case 'orbiter':
+            return {
+                behavior,
+                orbitRadius: optionalNumber(value.orbitRadius, `${field}.orbitRadius`,
+                    DEFAULT_ORBIT_RADIUS, { min: 20, max: Math.max(world.width, world.height) })
+            };
+        case 'ambusher':
+            return {
+                behavior,
+                triggerRadius: optionalNumber(value.triggerRadius, `${field}.triggerRadius`,
+                    DEFAULT_TRIGGER_RADIUS, { min: 10, max: Math.max(world.width, world.height) })
+            };
+        default:
+            return { behavior };
+    }
+}
+
+// State an obstacle starts the level in; hunting unless the level says otherwise
+function parseStartState(value, field) {
+    if (value.startState === undefined) return {};
+
+    const startState = requireOneOf(value.startState, `${field}.startState`, START_STATES);
+    if (value.startStateDuration === undefined) return { startState };
+    return {
+        startState,
+        startStateDuration: requireNumber(value.startStateDuration, `${field}.startStateDuration`, { min: 0 })
+    };
+}
+
+// Position, look and behavior of an obstacle
+function parseMover(value, field, world, shape) {
+    const color = optionalColor(value.color, `${field}.color`, OBSTACLE_DEFAULTS.color);
+    return {
+        ...parseBehavior(value, field, world, shape),
+        ...parseStartState(value, field),
+        shape,
+        x: requireNumber(value.x, `${field}.x`, { min: 0, max: world.width }),
+        y: requireNumber(value.y, `${field}.y`, { min: 0, max: world.height }),
+        size: optionalNumber(value.size, `${field}.size`, OBSTACLE_DEFAULTS.size, { min: 5, max: 200 }),
+        color,
+        lightColor: optionalColor(value.lightColor, `${field}.lightColor`, lightenColor(color)),
+        chaseAccuracy: optionalNumber(value.chaseAccuracy, `${field}.chaseAccuracy`,
+            OBSTACLE_DEFAULTS.chaseAccuracy, { min: 0, max: 1 }),
+        blindChance: optionalNumber(value.blindChance, `${field}.blindChance`,
+            OBSTACLE_DEFAULTS.blindChance, { min: 0, max: 1 }),
+        blindDurationRange: parseBlindDurationRange(value.blindDurationRange, `${field}.blindDurationRange`),
+        rotation: optionalNumber(value.rotation, `${field}.rotation`, OBSTACLE_DEFAULTS.rotation),
+        rotationSpeed: optionalNumber(value.rotationSpeed, `${field}.rotationSpeed`,
+            OBSTACLE_DEFAULTS.rotationSpeed, { min: -1, max: 1 })
+    };
+}
+
+function parseObstacle(value, field, world) {
+    requireObject(value, field);
+    const shape = requireOneOf(value.shape, `${field}.shape`, SHAPE_TYPES);
+    return parseMover(value, field, world, shape);
+}
+
+// A pickup stays for the whole level unless it has a `lifetime` (ms)
+function parsePickup(value, field, world) {
+    requireObject(value, field);
+    const pickup = {
+        power: requireOneOf(value.power, `${field}.power`, Object.keys(SUPER_POWERS)),
+        x: requireNumber(value.x, `${field}.x`, { min: 0, max: world.width }),
+        y: requireNumber(value.y, `${field}.y`, { min: 0, max: world.height })
+    };
+    if (value.lifetime !== undefined) {
+        pickup.lifetime = requireNumber(value.lifetime, `${field}.lifetime`, { min: 0 });
+    }
+    return pickup;
+}
+
+// Walls keep their source fields so a parsed level is still a valid definition,
+// plus the `points` outline the simulation collides against
+function parseWall(value, field, world) {
+    requireObject(value, field);
+    const type = requireOneOf(value.type, `${field}.type`, WALL_TYPES);
+    const color = optionalColor(value.color, `${field}.color`, WALL_COLOR);
+
+    if (type === 'segment') {
+        const x1 = requireNumber(value.x1, `${field}.x1`, { min: 0, max: world.width });
+        const y1 = requireNumber(value.y1, `${field}.y1`, { min: 0, max: world.height });
+        const x2 = requireNumber(value.x2, `${field}.x2`, { min: 0, max: world.width });
+        const y2 = requireNumber(value.y2, `${field}.y2`, { min: 0, max: world.height });
+        const thickness = optionalNumber(value.thickness, `${field}.thickness`,
+            DEFAULT_WALL_THICKNESS, { min: 2, max: 200 });
+        if (x1 === x2 && y1 === y2) {
+            throw new LevelValidationError(field, 'must have two different end points');
+        }
+        return { type, x1, y1, x2, y2, thickness, color, points: segmentToPolygon(x1, y1, x2, y2, thickness) };
+    }
+
+    const points = requireArray(value.points, `${field}.points`)
+        .map((point, i) => parsePoint(point, `${field}.points[${i}]`, world));
+    if (points.length < 3) {
+        throw new LevelValidationError(`${field}.points`, 'must have at least 3 points');
+    }
+    return { type, color, points };
+}
+
+function parseWinCondition(value, field) {
+    requireObject(value, field);
+    const type = requireOneOf(value.type, `${field}.type`, WIN_CONDITION_TYPES);
+    switch (type) {
+        case 'surviveTime':
+            return { type, seconds: requireNumber(value.seconds, `${field}.seconds`, { min: 0 }) };
+        default:
+            return { type };
+    }
+}
+
+export function parseLevel(definition, world = { width: 800, height: 600 }, field = 'level') {
+    requireObject(definition, field);
+
+    if (definition.name !== undefined && typeof definition.name !== 'string') {
+        throw new LevelValidationError(`${field}.name`, 'must be a string');
+    }
+
+    const obstacles = definition.obstacles === undefined ? [] : definition.obstacles;
+    const pickups = definition.pickups === undefined ? [] : definition.pickups;
+    // Levels made before pickups had powers carried by "superPowers" shapes;
+    // those become pickups where the shape started
+    const superPowers = definition.superPowers === undefined ? [] : definition.superPowers;
+    const walls = definition.walls === undefined ? [] : definition.walls;
+    const winConditions = definition.winConditions === undefined
+        ? DEFAULT_WIN_CONDITIONS
+        : definition.winConditions;
+
+    const level = {
+        name: definition.name || '',
+        entrance: parseRect(definition.entrance, `${field}.entrance`, world),
+        exit: parseRect(definition.exit, `${field}.exit`, world),
+        obstacles: requireArray(obstacles, `${field}.obstacles`)
+            .map((obstacle, i) => parseObstacle(obstacle, `${field}.obstacles[${i}]`, world)),
+        pickups: [
+            ...requireArray(pickups, `${field}.pickups`)
+                .map((pickup, i) => parsePickup(pickup, `${field}.pickups[${i}]`, world)),
+            ...requireArray(superPowers, `${field}.superPowers`)
+                .map((spawn, i) => parsePickup(spawn, `${field}.superPowers[${i}]`, world))
+        ],
+        walls: requireArray(walls, `${field}.walls`)
+            .map((wall, i) => parseWall(wall, `${field}.walls[${i}]`, world)),
+        winConditions: requireArray(winConditions, `${field}.winConditions`)
+            .map((condition, i) => parseWinCondition(condition, `${field}.winConditions[${i}]`))
+    };
+
+    if (level.winConditions.length === 0) {
+        throw new LevelValidationError(`${field}.winConditions`, 'must not be empty');
+    }
+
+    // The player spawns just inside the entrance, so that spot has to be open
+    const spawnX = level.entrance.x + level.entrance.width + 30;
+    const spawnY = level.entrance.y + level.entrance.height / 2;
+    level.walls.forEach((wall, i) => {
+        if (pointInPolygon(spawnX, spawnY, wall.points)) {
+            throw new LevelValidationError(`${field}.walls[${i}]`, 'must not cover the player spawn point');
+        }
+    });
+
+    return level;
+}
+
+export function parseCampaign(definition, world = { width: 800, height: 600 }) {
+    requireObject(definition, 'campaign');
+    if (typeof definition.name !== 'string' || !definition.name) {
+        throw new LevelValidationError('campaign.name', 'must be a non-empty string');
+    }
+    const levels = requireArray(definition.levels, 'campaign.levels');
+    if (levels.length === 0) {
+        throw new LevelValidationError('campaign.levels', 'must contain at least one level');
+    }
+
+    return {
+        name: definition.name,
+        levels: levels.map((level, i) => parseLevel(level, world, `campaign.levels[${i}]`))
+    };
+}
+
+const SAVED_LEVELS_KEY = 'lifeEscape.levels';
+
+// Level definitions saved from the editor, keyed by level name
+export function loadSavedLevels() {
+    try {
+        return JSON.parse(window.localStorage.getItem(SAVED_LEVELS_KEY)) || {};
+    } catch (error) {
+        return {};
+    }
+}
+
+export function saveLevelDefinition(name, definition) {
+    const levels = loadSavedLevels();
+    levels[name] = definition;
+    window.localStorage.setItem(SAVED_LEVELS_KEY, JSON.stringify(levels));
+    return levels;
+}
+
+export function deleteSavedLevel(name) {
+    const levels = loadSavedLevels();
+    delete levels[name];
+    window.localStorage.setItem(SAVED_LEVELS_KEY, JSON.stringify(levels));
+    return levels;
+}
@@ -0,0 +1,66 @@
+import { parseLevel, parseCampaign, LevelValidationError } from './levels';
+
+const LEVEL = {
+    name: 'Warm Up',
+    entrance: { x: 0, y: 250, width: 20, height: 100 },
+    exit: { x: 780, y: 250, width: 20, height: 100 },
+    obstacles: [{ shape: 'hexagon', x: 400, y: 300 }]
+};
+
+// The error a definition is rejected with, or null if it parses
+function validationError(parse) {
+    try {
+        parse();
+        return null;
+    } catch (error) {
+        return error;
+    }
+}
+
+describe('level definitions', () => {
+    test('fill in defaults for what a level leaves out', () => {
+        const level = parseLevel(LEVEL);
+        expect(level.winConditions).toEqual([{ type: 'reachExit' }]);
+        expect(level.pickups).toEqual([]);
+        expect(level.walls).toEqual([]);
+        expect(level.obstacles[0]).toMatchObject({ shape: 'hexagon', x: 400, y: 300, behavior: 'chaser' });
+    });
+
+    test.each([
+        ['a missing exit', { exit: undefined }, 'level.exit', 'must be an object'],
+        ['a portal outside the arena', { entrance: { x: 790, y: 0, width: 20, height: 100 } },
+            'level.entrance', 'must fit inside the 800x600 arena'],
+        ['an unknown shape', { obstacles: [{ shape: 'blob', x: 1, y: 1 }] }, 'level.obstacles[0].shape',
+            'must be one of'],
+        ['a bad color', { obstacles: [{ shape: 'square', x: 1, y: 1, color: 'red' }] },
+            'level.obstacles[0].color', 'must be a color'],
+        ['an out of range chase accuracy', { obstacles: [{ shape: 'square', x: 1, y: 1, chaseAccuracy: 2 }] },
+            'level.obstacles[0].chaseAccuracy', 'must be between 0 and 1'],
+        ['a blind duration range the wrong way round',
+            { obstacles: [{ shape: 'square', x: 1, y: 1, blindDurationRange: { min: 3000, max: 1000 } }] },
+            'level.obstacles[0].blindDurationRange.max', 'must not be less than min'],
+        ['a patroller with one waypoint',
+            { obstacles: [{ shape: 'square', x: 1, y: 1, behavior: 'patroller', waypoints: [{ x: 1, y: 1 }] }] },
+            'level.obstacles[0].waypoints', 'must have at least 2 points'],
+        ['an unknown power', { pickups: [{ power: 'star_laser', x: 1, y: 1 }] }, 'level.pickups[0].power',
+            'must be one of'],
+        ['no win conditions', { winConditions: [] }, 'level.winConditions', 'must not be empty'],
+        ['a wall over the spawn point',
+            { walls: [{ type: 'polygon', points: [{ x: 30, y: 280 }, { x: 80, y: 280 }, { x: 55, y: 330 }] }] },
+            'level.walls[0]', 'must not cover the player spawn point']
+    ])('reject %s, naming the field', (description, change, field, message) => {
+        const error = validationError(() => parseLevel({ ...LEVEL, ...change }));
+        expect(error).toBeInstanceOf(LevelValidationError);
+        expect(error.field).toBe(field);
+        expect(error.message).toContain(message);
+    });
+
+    test('name the level a campaign error is in', () => {
+        const error = validationError(() => parseCampaign({
+            name: 'Tour',
+            levels: [LEVEL, { ...LEVEL, exit: { ...LEVEL.exit, width: 'wide' } }]
+        }));
+        expect(error).toBeInstanceOf(LevelValidationError);
+        expect(error.field).toBe('campaign.levels[1].exit.width');
+    });
+});
@@ -0,0 +1,222 @@
+// Navigation grid and A* search used by obstacles to chase around walls.
+// The arena is split into square cells; a cell is blocked for a given
+// clearance when a circle of that radius at its center would touch a wall.
+// Grids only depend on the walls, so they are built once per wall layout and
+// clearance and shared by every obstacle and every world using them.
+
+import { circlePolygonContact } from './walls';
+
+export const NAV_CELL_SIZE = 20;
+
+// Clearances are rounded up to this step so similar sizes share a grid
+const CLEARANCE_STEP = 10;
+
+const SQRT2 = Math.SQRT2;
+const NEIGHBOURS = [
+    [1, 0, 1], [-1, 0, 1], [0, 1, 1], [0, -1, 1],
+    [1, 1, SQRT2], [1, -1, SQRT2], [-1, 1, SQRT2], [-1, -1, SQRT2]
+];
+
+// walls array -> Map(clearance -> grid)
+const gridCache = new WeakMap();
+
+export function getNavGrid(world, clearance) {
+    let grids = gridCache.get(world.walls);
+    if (!grids) {
+        grids = new Map();
+        gridCache.set(world.walls, grids);
+    }
+
+    const roundedClearance = Math.ceil(clearance / CLEARANCE_STEP) * CLEARANCE_STEP;
+    const key = `${world.width}x${world.height}:${roundedClearance}`;
+    if (!grids.has(key)) {
+        grids.set(key, createNavGrid(world.walls, world.width, world.height, roundedClearance));
+    }
+    return grids.get(key);
+}
+
+export function createNavGrid(walls, width, height, clearance) {
+    const columns = Math.ceil(width / NAV_CELL_SIZE);
+    const rows = Math.ceil(height / NAV_CELL_SIZE);
+    const blocked = new Uint8Array(columns * rows);
+
+    for (let row = 0; row < rows; row++) {
+        for (let column = 0; column < columns; column++) {
+            const x = (column + 0.5) * NAV_CELL_SIZE;
+            const y = (row + 0.5) * NAV_CELL_SIZE;
+            if (walls.some(wall => circlePolygonContact(x, y, clearance, wall.points))) {
+                blocked[row * columns + column] = 1;
+            }
+        }
+    }
+
+    return { columns, rows, blocked };
+}
+
+function cellAt(grid, x, y) {
+    const column = Math.max(0, Math.min(grid.columns - 1, Math.floor(x / NAV_CELL_SIZE)));
+    const row = Math.max(0, Math.min(grid.rows - 1, Math.floor(y / NAV_CELL_SIZE)));
+    return row * grid.columns + column;
+}
+
+function cellCenter(grid, cell) {
+    return {
+        x: (cell % grid.columns + 0.5) * NAV_CELL_SIZE,
+        y: (Math.floor(cell / grid.columns) + 0.5) * NAV_CELL_SIZE
+    };
+}
+
+// Closest open cell to `cell`, searching outwards ring by ring
+function nearestOpenCell(grid, cell) {
+    if (!grid.blocked[cell]) return cell;
+
+    const column = cell % grid.columns;
+    const row = Math.floor(cell / grid.columns);
+    const maxRadius = Math.max(grid.columns, grid.rows);
+    for (let radius = 1; radius < maxRadius; radius++) {
+        for (let dy = -radius; dy <= radius; dy++) {
+            for (let dx = -radius; dx <= radius; dx++) {
+                if (Math.max(Math.abs(dx), Math.abs(dy)) !== radius) continue;
+                const c = column + dx;
+                const r = row + dy;
+                if (c < 0 || r < 0 || c >= grid.columns || r >= grid.rows) continue;
+                const candidate = r * grid.columns + c;
+                if (!grid.blocked[candidate]) return candidate;
+            }
+        }
+    }
+    return -1;
+}
+
+// True when the straight line between two points only crosses open cells
+export function hasLineOfSight(grid, x1, y1, x2, y2) {
+    const dx = x2 - x1;
+    const dy = y2 - y1;
+    const steps = Math.ceil(Math.sqrt(dx * dx + dy * dy) / (NAV_CELL_SIZE / 2));
+    for (let i = 0; i <= steps; i++) {
+        const t = steps === 0 ? 0 : i / steps;
+        if (grid.blocked[cellAt(grid, x1 + dx * t, y1 + dy * t)]) return false;
+    }
+    return true;
+}
+
+// Octile distance, exact for 8-way movement without obstacles
+function heuristic(grid, a, b) {
+    const dx = Math.abs(a % grid.columns - b % grid.columns);
+    const dy = Math.abs(Math.floor(a / grid.columns) - Math.floor(b / grid.columns));
+    return Math.max(dx, dy) + (SQRT2 - 1) * Math.min(dx, dy);
+}
+
+// Binary min-heap of [score, cell] entries
+function heapPush(heap, entry) {
+    heap.push(entry);
+    let i = heap.length - 1;
+    while (i > 0) {
+        const parent = (i - 1) >> 1;
+        if (heap[parent][0] <= heap[i][0]) break;
+        [heap[parent], heap[i]] = [heap[i], heap[parent]];
+        i = parent;
+    }
+}
+
+function heapPop(heap) {
+    const top = heap[0];
+    const last = heap.pop();
+    if (heap.length > 0) {
+        heap[0] = last;
+        let i = 0;
+        for (;;) {
+            const left = i * 2 + 1;
+            const right = left + 1;
+            let smallest = i;
+            if (left < heap.length && heap[left][0] < heap[smallest][0]) smallest = left;
+            if (right < heap.length && heap[right][0] < heap[smallest][0]) smallest = right;
+            if (smallest === i) break;
+            [heap[smallest], heap[i]] = [heap[i], heap[smallest]];
+            i = smallest;
+        }
+    }
+    return top;
+}
+
+// A* from one point to another over the grid. Returns the waypoints to head
+// for in order, ending at the target itself, or null if it cannot be reached.
+export function findPath(grid, fromX, fromY, toX, toY) {
+    const start = nearestOpenCell(grid, cellAt(grid, fromX, fromY));
+    const goal = nearestOpenCell(grid, cellAt(grid, toX, toY));
+    if (start === -1 || goal === -1) return null;
+
+    const size = grid.columns * grid.rows;
+    const costs = new Float64Array(size).fill(Infinity);
+    const cameFrom = new Int32Array(size).fill(-1);
+    const closed = new Uint8Array(size);
+    const open = [];
+
+    costs[start] = 0;
+    heapPush(open, [heuristic(grid, start, goal), start]);
+
+    while (open.length > 0) {
+        const current = heapPop(open)[1];
+        if (current === goal) {
+            return smoothPath(grid, buildCells(cameFrom, goal), fromX, fromY, toX, toY);
+        }
+        if (closed[current]) continue;
+        closed[current] = 1;
+
+        const column = current % grid.columns;
+        const row = Math.floor(current / grid.columns);
+        NEIGHBOURS.forEach(([dx, dy, stepCost]) => {
+            const c = column + dx;
+            const r = row + dy;
+            if (c < 0 || r < 0 || c >= grid.columns || r >= grid.rows) return;
+            const next = r * grid.columns + c;
+            if (grid.blocked[next] || closed[next]) return;
+            // No cutting corners past a blocked cell
+            if (dx !== 0 && dy !== 0 &&
+                (grid.blocked[row * grid.columns + c] || grid.blocked[r * grid.columns + column])) {
+                return;
+            }
+
+            const cost = costs[current] + stepCost;
+            if (cost < costs[next]) {
+                costs[next] = cost;
+                cameFrom[next] = current;
+                // Re-pushing is cheaper than decrease-key; stale entries are skipped as closed
+                heapPush(open, [cost + heuristic(grid, next, goal), next]);
+            }
+        });
+    }
+
+    return null;
+}
+
+function buildCells(cameFrom, goal) {
+    const cells = [];
+    for (let cell = goal; cell !== -1; cell = cameFrom[cell]) {
+        cells.unshift(cell);
+    }
+    return cells;
+}
+
+// Skips every waypoint that can be seen past, so routes hug corners instead
+// of zig-zagging from cell to cell
+function smoothPath(grid, cells, fromX, fromY, toX, toY) {
+    const points = [...cells.map(cell => cellCenter(grid, cell)), { x: toX, y: toY }];
+    const path = [];
+    let from = { x: fromX, y: fromY };
+    let index = -1;
+
+    while (index < points.length - 1) {
+        // Falls back to the very next point when nothing further is visible,
+        // e.g. when starting inside a blocked cell
+        let next = points.length - 1;
+        while (next > index + 1 && !hasLineOfSight(grid, from.x, from.y, points[next].x, points[next].y)) {
+            next--;
+        }
+        path.push(points[next]);
+        from = points[next];
+        index = next;
+    }
+
+    return path;
+}
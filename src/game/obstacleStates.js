@@ -0,0 +1,163 @@
+// Per-obstacle state machine. An obstacle is always in exactly one of these
+// states; `setObstacleState` runs the old state's exit hook and the new
+// state's enter hook, and a state entered with a duration (in simulated
+// milliseconds) moves on to its `next` state once that time is up. A timed
+// state without a `next` removes the obstacle when it ends.
+//
+// Powers and level definitions trigger transitions through setObstacleState;
+// the renderer draws each state differently.
+
+import { nextRandom } from './rng';
+import { BEHAVIORS } from './behaviors';
+
+// Hunting obstacles roll their blindChance once per interval
+const BLIND_ROLL_INTERVAL = 1000;
+
+export const OBSTACLE_STATES = {
+    // Waiting in place, e.g. at the start of a scripted level
+    'idle': {
+        next: 'hunting',
+        solid: true,
+        update: (world, obstacle) => {
+            obstacle.speedX *= 0.9;
+            obstacle.speedY *= 0.9;
+        }
+    },
+    // Normal play: the obstacle's behavior steers it
+    'hunting': {
+        next: null,
+        solid: true,
+        enter: (world, obstacle) => {
+            obstacle.nextBlindRoll = world.time + BLIND_ROLL_INTERVAL;
+        },
+        update: (world, obstacle, speed, context) => {
+            if (world.time >= obstacle.nextBlindRoll) {
+                obstacle.nextBlindRoll += BLIND_ROLL_INTERVAL;
+                if (nextRandom(world.rng) < obstacle.blindChance) {
+                    const { min, max } = obstacle.blindDurationRange;
+                    setObstacleState(world, obstacle, 'blind', min + nextRandom(world.rng) * (max - min));
+                    return;
+                }
+            }
+            BEHAVIORS[obstacle.behavior].steer(world, obstacle, speed, context);
+        }
+    },
+    // Lost track of the player and drifting at random
+    'blind': {
+        next: 'hunting',
+        solid: true,
+        update: (world, obstacle, speed) => {
+            obstacle.speedX += (nextRandom(world.rng) - 0.5) * 0.2;
+            obstacle.speedY += (nextRandom(world.rng) - 0.5) * 0.2;
+
+            // Limit speed
+            const maxSpeed = speed * 0.5;
+            obstacle.speedX = Math.max(-maxSpeed, Math.min(maxSpeed, obstacle.speedX));
+            obstacle.speedY = Math.max(-maxSpeed, Math.min(maxSpeed, obstacle.speedY));
+        }
+    },
+    // Knocked out by a power; frozen where it is
+    'stunned': {
+        next: 'hunting',
+        solid: true,
+        enter: (world, obstacle) => {
+            obstacle.speedX = 0;
+            obstacle.speedY = 0;
+        },
+        update: (world, obstacle) => {
+            obstacle.speedX = 0;
+            obstacle.speedY = 0;
+        }
+    },
+    // Halted by the Freeze power; still dangerous to touch
+    'frozen': {
+        next: 'hunting',
+        solid: true,
+        enter: (world, obstacle) => {
+            obstacle.speedX = 0;
+            obstacle.speedY = 0;
+        },
+        update: (world, obstacle) => {
+            obstacle.speedX = 0;
+            obstacle.speedY = 0;
+        }
+    },
+    // Running away from the player
+    'fleeing': {
+        next: 'hunting',
+        solid: true,
+        update: (world, obstacle, speed) => {
+            const dx = obstacle.x - world.player.x;
+            const dy = obstacle.y - world.player.y;
+            const distance = Math.sqrt(dx * dx + dy * dy);
+            if (distance > 0) {
+                obstacle.speedX = (dx / distance) * speed;
+                obstacle.speedY = (dy / distance) * speed;
+            }
+        }
+    },
+    // Shrinking away before it is removed; harmless in the meantime
+    'dying': {
+        next: null,
+        solid: false,
+        update: (world, obstacle) => {
+            obstacle.speedX = 0;
+            obstacle.speedY = 0;
+        }
+    }
+};
+
+// States a level definition may start an obstacle in
+export const START_STATES = ['idle', 'hunting', 'blind', 'stunned', 'fleeing'];
+
+// State fields every obstacle starts with: hunting, with no time limit
+export function createStateFields(world) {
+    return {
+        state: 'hunting',
+        stateStartTime: world.time,
+        stateEndTime: null,
+        nextBlindRoll: world.time + BLIND_ROLL_INTERVAL
+    };
+}
+
+// Moves an obstacle into `state`, optionally for `duration` milliseconds
+export function setObstacleState(world, obstacle, state, duration = null) {
+    const previous = OBSTACLE_STATES[obstacle.state];
+    if (previous.exit) previous.exit(world, obstacle);
+
+    const previousState = obstacle.state;
+    obstacle.state = state;
+    obstacle.stateStartTime = world.time;
+    obstacle.stateEndTime = duration === null ? null : world.time + duration;
+
+    const next = OBSTACLE_STATES[state];
+    if (next.enter) next.enter(world, obstacle);
+
+    world.events.push({ type: 'obstacleStateChange', state, previous: previousState, x: obstacle.x, y: obstacle.y });
+}
+
+// Runs timed transitions and the current state's update for one tick
+export function updateObstacleState(world, obstacle, speed, context) {
+    if (obstacle.stateEndTime !== null && world.time >= obstacle.stateEndTime) {
+        const { next, exit } = OBSTACLE_STATES[obstacle.state];
+        if (!next) {
+            if (exit) exit(world, obstacle);
+            obstacle.removed = true;
+            return;
+        }
+        setObstacleState(world, obstacle, next);
+    }
+
+    OBSTACLE_STATES[obstacle.state].update(world, obstacle, speed, context);
+}
+
+export function isSolid(obstacle) {
+    return OBSTACLE_STATES[obstacle.state].solid;
+}
+
+// How far through its timed state an obstacle is, from 0 to 1
+export function stateProgress(world, obstacle) {
+    if (obstacle.stateEndTime === null) return 0;
+    const duration = obstacle.stateEndTime - obstacle.stateStartTime;
+    return duration > 0 ? Math.min(1, (world.time - obstacle.stateStartTime) / duration) : 1;
+}
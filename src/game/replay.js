@@ -0,0 +1,197 @@
+// Run recording and replay files. A recording is the seed the world was
+// created with plus the input frame fed to every tick, which is all the
+// deterministic simulation needs to reproduce a run frame for frame.
+
+import { createWorld, stepWorld } from './simulation';
+import { parseCampaign } from './levels';
+
+// Bumped whenever the simulation changes in a way that makes older
+// recordings play out differently
+export const REPLAY_VERSION = 14;
+
+// Bit flags used to pack one input frame into a single number
+const INPUT_BITS = {
+    up: 1,
+    down: 2,
+    left: 4,
+    right: 8,
+    blink: 64
+};
+
+const COMMAND_BITS = {
+    restartLevel: 16,
+    advanceLevel: 32
+};
+
+// Longest replay a file may hold: ten hours of ticks
+const MAX_FRAMES = 10 * 60 * 60 * 60;
+
+// The inventory slot used, plus one, is kept in the bits above these
+const USE_POWER_SHIFT = 7;
+
+export function createRecording(world) {
+    return {
+        version: REPLAY_VERSION,
+        seed: world.rng.seed,
+        level: world.level,
+        lives: world.maxLives,
+        width: world.width,
+        height: world.height,
+        campaign: world.campaign,
+        frames: []
+    };
+}
+
+export function recordFrame(recording, input) {
+    recording.frames.push({
+        up: input.up,
+        down: input.down,
+        left: input.left,
+        right: input.right,
+        blink: Boolean(input.blink),
+        usePower: Number.isInteger(input.usePower) ? input.usePower : null,
+        touch: input.touch ? { x: input.touch.x, y: input.touch.y } : null,
+        command: input.command || null
+    });
+}
+
+// Builds the world a recording starts from
+export function createReplayWorld(recording) {
+    return createWorld({
+        width: recording.width,
+        height: recording.height,
+        level: recording.level,
+        seed: recording.seed,
+        campaign: recording.campaign,
+        lives: recording.lives
+    });
+}
+
+// Re-simulates the first `frameCount` frames of a recording without rendering.
+// `onTick` is called after every step with the world and the frame index.
+export function simulateReplay(recording, frameCount = recording.frames.length, onTick) {
+    const world = createReplayWorld(recording);
+    const end = Math.min(frameCount, recording.frames.length);
+    for (let i = 0; i < end; i++) {
+        stepWorld(world, recording.frames[i]);
+        if (onTick) onTick(world, i);
+    }
+    world.events = [];
+    return world;
+}
+
+function packFrame(frame) {
+    let mask = 0;
+    Object.entries(INPUT_BITS).forEach(([key, bit]) => {
+        if (frame[key]) mask |= bit;
+    });
+    if (frame.command) mask |= COMMAND_BITS[frame.command];
+    if (frame.usePower !== null) mask |= (frame.usePower + 1) << USE_POWER_SHIFT;
+    return frame.touch ? [mask, frame.touch.x, frame.touch.y] : [mask];
+}
+
+function unpackFrame(packed) {
+    const [mask, touchX, touchY] = packed;
+    const usePower = mask >> USE_POWER_SHIFT;
+    const frame = { touch: null, command: null, usePower: usePower > 0 ? usePower - 1 : null };
+    Object.entries(INPUT_BITS).forEach(([key, bit]) => {
+        frame[key] = (mask & bit) !== 0;
+    });
+    Object.entries(COMMAND_BITS).forEach(([command, bit]) => {
+        if (mask & bit) frame.command = command;
+    });
+    if (packed.length === 3) {
+        frame.touch = { x: touchX, y: touchY };
+    }
+    return frame;
+}
+
+// Serializes a recording to compact JSON. Consecutive identical frames are
+// run-length encoded as [count, mask] or [count, mask, touchX, touchY].
+export function exportReplay(recording) {
+    const runs = [];
+    recording.frames.forEach(frame => {
+        const packed = packFrame(frame);
+        const last = runs[runs.length - 1];
+        if (last && last.length === packed.length + 1 &&
+            packed.every((value, index) => last[index + 1] === value)) {
+            last[0]++;
+        } else {
+            runs.push([1, ...packed]);
+        }
+    });
+
+    return JSON.stringify({
+        version: recording.version,
+        seed: recording.seed,
+        level: recording.level,
+        lives: recording.lives,
+        width: recording.width,
+        height: recording.height,
+        frameCount: recording.frames.length,
+        campaign: recording.campaign || undefined,
+        inputs: runs
+    });
+}
+
+// Parses a file produced by exportReplay, throwing if it is not a valid replay
+export function importReplay(text) {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch (error) {
+        throw new Error('Replay file is not valid JSON');
+    }
+
+    if (!data || data.version !== REPLAY_VERSION) {
+        throw new Error(`Unsupported replay version: ${data && data.version}`);
+    }
+    ['seed', 'level', 'lives', 'width', 'height', 'frameCount'].forEach(field => {
+        if (!Number.isFinite(data[field])) {
+            throw new Error(`Replay field "${field}" must be a number`);
+        }
+    });
+    if (!Number.isSafeInteger(data.frameCount) || data.frameCount < 0 || data.frameCount > MAX_FRAMES) {
+        throw new Error(`Replay field "frameCount" must be a whole number up to ${MAX_FRAMES}`);
+    }
+    if (!Array.isArray(data.inputs)) {
+        throw new Error('Replay field "inputs" must be an array');
+    }
+
+    // Every run is checked, and the total counted, before any frame is
+    // expanded so a bad count cannot blow up memory
+    let total = 0;
+    data.inputs.forEach((run, index) => {
+        if (!Array.isArray(run) || (run.length !== 2 && run.length !== 4) ||
+            !run.every(Number.isFinite) || !Number.isSafeInteger(run[0]) || run[0] < 1) {
+            throw new Error(`Replay input run ${index} is malformed`);
+        }
+        total += run[0];
+    });
+    if (total !== data.frameCount) {
+        throw new Error(`Replay has ${total} frames but declares ${data.frameCount}`);
+    }
+
+    const frames = [];
+    data.inputs.forEach(([count, ...packed]) => {
+        for (let i = 0; i < count; i++) {
+            frames.push(unpackFrame(packed));
+        }
+    });
+
+    // Campaign runs carry their level definitions so they replay anywhere
+    const campaign = data.campaign
+        ? parseCampaign(data.campaign, { width: data.width, height: data.height })
+        : null;
+
+    return {
+        version: data.version,
+        seed: data.seed,
+        level: data.level,
+        lives: data.lives,
+        width: data.width,
+        height: data.height,
+        campaign,
+        frames
+    };
+}
@@ -0,0 +1,53 @@
+import { createWorld } from './simulation';
+import { parseCampaign } from './levels';
+import { createRecording, exportReplay, importReplay, simulateReplay } from './replay';
+import { playTicks } from './testRuns';
+
+function recordRun(world, ticks) {
+    const recording = createRecording(world);
+    playTicks(world, 0, ticks, recording);
+    world.events = [];
+    return recording;
+}
+
+describe('replays', () => {
+    test('an exported replay re-simulates to the same world as the live run', () => {
+        const world = createWorld({ seed: 4242 });
+        const recording = recordRun(world, 1200);
+
+        const imported = importReplay(exportReplay(recording));
+        expect(imported.frames).toEqual(recording.frames);
+        expect(simulateReplay(imported)).toEqual(world);
+    });
+
+    test('a campaign replay carries its levels with it', () => {
+        const campaign = parseCampaign({
+            name: 'Test',
+            levels: [{
+                name: 'Walls',
+                entrance: { x: 0, y: 250, width: 20, height: 100 },
+                exit: { x: 780, y: 250, width: 20, height: 100 },
+                obstacles: [{ shape: 'hexagon', x: 400, y: 300, size: 40 }],
+                walls: [{ type: 'segment', x1: 300, y1: 0, x2: 300, y2: 200 }]
+            }]
+        });
+        const world = createWorld({ seed: 7, campaign });
+        const recording = recordRun(world, 600);
+
+        const imported = importReplay(exportReplay(recording));
+        expect(imported.campaign).toEqual(campaign);
+        expect(simulateReplay(imported)).toEqual(world);
+    });
+
+    test('rejects run counts that do not add up to the frame count', () => {
+        const data = JSON.parse(exportReplay(recordRun(createWorld({ seed: 1 }), 10)));
+
+        data.frameCount = 1e9;
+        expect(() => importReplay(JSON.stringify(data))).toThrow('frameCount');
+        data.frameCount = 11;
+        expect(() => importReplay(JSON.stringify(data))).toThrow('Replay has 10 frames but declares 11');
+        data.frameCount = 10;
+        data.inputs[0][0] = 0;
+        expect(() => importReplay(JSON.stringify(data))).toThrow('Replay input run 0 is malformed');
+    });
+});
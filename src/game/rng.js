@@ -0,0 +1,55 @@
+// Seedable pseudo-random number generator (mulberry32). The generator state is
+// a plain object holding two integers so it can live inside the world and be
+// copied or serialized along with the rest of the game state.
+
+// Picks a fresh seed for a new run. This is the only place gameplay code may
+// fall back to Math.random.
+export function createSeed() {
+    return Math.floor(Math.random() * 0x100000000);
+}
+
+// Accepts a number or any string (e.g. from a URL) and folds it into a 32-bit seed
+export function normalizeSeed(seed) {
+    if (typeof seed === 'number' && Number.isFinite(seed)) {
+        return seed >>> 0;
+    }
+
+    const text = String(seed);
+    if (/^\d+$/.test(text)) {
+        return Number(text) >>> 0;
+    }
+
+    // FNV-1a hash for arbitrary text seeds
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+}
+
+export function createRng(seed = createSeed()) {
+    const normalized = normalizeSeed(seed);
+    return {
+        seed: normalized,
+        state: normalized
+    };
+}
+
+// Returns a float in [0, 1) and advances the generator
+export function nextRandom(rng) {
+    rng.state = (rng.state + 0x6D2B79F5) >>> 0;
+    let t = rng.state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+}
+
+// Returns an integer in [0, max)
+export function randomInt(rng, max) {
+    return Math.floor(nextRandom(rng) * max);
+}
+
+export function randomItem(rng, items) {
+    return items[randomInt(rng, items.length)];
+}
@@ -0,0 +1,79 @@
+// Finished runs kept in the browser: the high score tables and the history
+// charted on the high scores page. Endless mode and each campaign have their
+// own table, since a campaign run ends after its last level.
+
+const RUN_HISTORY_KEY = 'lifeEscape.runHistory';
+
+// Oldest runs are dropped past this many, unless they hold a high score
+const MAX_HISTORY = 200;
+
+export const HIGH_SCORE_COUNT = 10;
+
+export const ENDLESS_BOARD = 'Endless';
+
+// Table a run is ranked on
+export function runBoard(run) {
+    return run.campaign || ENDLESS_BOARD;
+}
+
+export function loadRunHistory() {
+    try {
+        const text = window.localStorage.getItem(RUN_HISTORY_KEY);
+        const history = text ? JSON.parse(text) : [];
+        return Array.isArray(history) ? history : [];
+    } catch (error) {
+        // Storage unavailable or the history is unreadable
+        return [];
+    }
+}
+
+function saveRunHistory(history) {
+    try {
+        window.localStorage.setItem(RUN_HISTORY_KEY, JSON.stringify(history));
+    } catch (error) {
+        // Storage full or unavailable; the run is simply not kept
+    }
+}
+
+// Higher score first, then the further level, then the faster run
+function compareRuns(a, b) {
+    return b.score - a.score || b.level - a.level || a.time - b.time;
+}
+
+export function highScores(history, board, count = HIGH_SCORE_COUNT) {
+    return history
+        .filter(run => runBoard(run) === board)
+        .sort(compareRuns)
+        .slice(0, count);
+}
+
+// Every board that has at least one run, endless first
+export function runBoards(history) {
+    const boards = new Set(history.map(runBoard));
+    return [ENDLESS_BOARD, ...[...boards].filter(board => board !== ENDLESS_BOARD).sort()];
+}
+
+function trimHistory(history) {
+    if (history.length <= MAX_HISTORY) return history;
+    const highScoreRuns = new Set(runBoards(history).flatMap(board => highScores(history, board)));
+    return history.filter((run, index) => index >= history.length - MAX_HISTORY || highScoreRuns.has(run));
+}
+
+// Adds a finished run ({ date, seed, campaign, level, levelName, time, score,
+// deaths, powersUsed, outcome }) to the history. Returns its place on its
+// high score table (1-based, null if it did not make it) and whether it beat
+// every earlier run on that table.
+export function recordRun(run) {
+    const history = loadRunHistory();
+    const board = runBoard(run);
+    const previousBest = highScores(history, board, 1)[0];
+
+    history.push(run);
+    saveRunHistory(trimHistory(history));
+
+    const rank = highScores(history, board).indexOf(run) + 1;
+    return {
+        rank: rank > 0 ? rank : null,
+        newRecord: !previousBest || compareRuns(run, previousBest) < 0
+    };
+}
@@ -0,0 +1,108 @@
+// Saved runs, so a refresh or a closed tab does not throw a run away. A saved
+// run is the whole world (player, obstacles with their behavior and state
+// timers, the active power, level and the generator state) plus the recording
+// and ghost track so far, which keep replays and personal bests working after
+// a resume.
+
+import { exportReplay, importReplay } from './replay';
+
+// Bumped whenever the world changes shape so older saves are not loaded
+export const SAVE_VERSION = 9;
+
+const SAVED_RUN_KEY = 'lifeEscape.savedRun';
+
+// JSON writes -0 as 0, which would change the sign of angles computed from it
+const NEGATIVE_ZERO = '-0';
+
+function replacer(key, value) {
+    return Object.is(value, -0) ? NEGATIVE_ZERO : value;
+}
+
+function reviver(key, value) {
+    return value === NEGATIVE_ZERO ? -0 : value;
+}
+
+// Serializes a live run. Events are per tick and are not part of the state.
+export function serializeRun({ world, recording, levelStartTick, track }) {
+    return JSON.stringify({
+        version: SAVE_VERSION,
+        world: { ...world, events: [] },
+        recording: exportReplay(recording),
+        levelStartTick,
+        track
+    }, replacer);
+}
+
+// Parses a string produced by serializeRun, throwing if it cannot be resumed
+export function deserializeRun(text) {
+    let data;
+    try {
+        data = JSON.parse(text, reviver);
+    } catch (error) {
+        throw new Error('Saved run is not valid JSON');
+    }
+
+    if (!data || data.version !== SAVE_VERSION) {
+        throw new Error(`Unsupported saved run version: ${data && data.version}`);
+    }
+    if (!data.world || !data.world.player || !Array.isArray(data.world.obstacles) || !data.world.rng) {
+        throw new Error('Saved run has no world');
+    }
+    if (!Number.isFinite(data.levelStartTick)) {
+        throw new Error('Saved run field "levelStartTick" must be a number');
+    }
+    if (!data.track || !data.track.levels || !data.track.levels[data.track.level]) {
+        throw new Error('Saved run has no ghost track');
+    }
+
+    const recording = importReplay(data.recording);
+    // The recording's campaign was parsed again, so share the world's copy
+    recording.campaign = data.world.campaign;
+
+    return {
+        world: data.world,
+        recording,
+        levelStartTick: data.levelStartTick,
+        track: data.track
+    };
+}
+
+// Copy of a world as text, which restoreWorld turns back into a world that
+// steps exactly like the original. The campaign is left out: it is the same
+// for the whole run, so the caller passes it back in.
+export function snapshotWorld(world) {
+    return JSON.stringify({ ...world, campaign: null, events: [] }, replacer);
+}
+
+export function restoreWorld(snapshot, campaign) {
+    return { ...JSON.parse(snapshot, reviver), campaign };
+}
+
+// Returns the saved run as text, or null when there is none that can be resumed
+export function loadSavedRun() {
+    try {
+        const text = window.localStorage.getItem(SAVED_RUN_KEY);
+        if (!text) return null;
+        deserializeRun(text);
+        return text;
+    } catch (error) {
+        // Storage unavailable or the save is from an older version
+        return null;
+    }
+}
+
+export function saveRun(text) {
+    try {
+        window.localStorage.setItem(SAVED_RUN_KEY, text);
+    } catch (error) {
+        // Storage full or unavailable; the run goes on unsaved
+    }
+}
+
+export function clearSavedRun() {
+    try {
+        window.localStorage.removeItem(SAVED_RUN_KEY);
+    } catch (error) {
+        // Nothing to clear
+    }
+}
@@ -0,0 +1,41 @@
+import { createWorld } from './simulation';
+import { createRecording } from './replay';
+import { createGhostTrack } from './ghost';
+import { serializeRun, deserializeRun } from './savedRun';
+import { playTicks } from './testRuns';
+
+describe('saved runs', () => {
+    test('a restored run steps exactly like the run it was saved from', () => {
+        const world = createWorld({ seed: 12345, level: 5 });
+        // Powers to use, so the save catches one running with its time left
+        world.playerPower.slots = ['star_blink', 'star_magnet', 'star_freeze']
+            .map(type => ({ type, charges: 3 }));
+        const recording = createRecording(world);
+        playTicks(world, 0, 600, recording);
+        expect(world.playerPower.active).toBe(true);
+
+        const track = createGhostTrack(world);
+        const restored = deserializeRun(serializeRun({ world, recording, levelStartTick: 0, track }));
+        expect(restored.recording.frames).toEqual(recording.frames);
+        expect(restored.levelStartTick).toBe(0);
+        expect(restored.track).toEqual(track);
+        expect(restored.world).toEqual({ ...world, events: [] });
+
+        playTicks(world, 600, 600);
+        playTicks(restored.world, 600, 600);
+        expect(restored.world).toEqual(world);
+    });
+
+    test('rejects saves from another version', () => {
+        const world = createWorld({ seed: 1 });
+        const text = serializeRun({
+            world,
+            recording: createRecording(world),
+            levelStartTick: 0,
+            track: createGhostTrack(world)
+        });
+        const data = JSON.parse(text);
+        data.version = -1;
+        expect(() => deserializeRun(JSON.stringify(data))).toThrow('Unsupported saved run version');
+    });
+});
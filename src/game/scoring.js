@@ -0,0 +1,108 @@
+// Score keeping. Points are handed out from the events the simulation reports
+// during a tick, so the rules below never reach into the rest of the game.
+// Near misses, eliminations and shrinks build up a combo multiplier that
+// slowly decays back to 1 once the player stops chaining them; dying resets
+// it along with the no-death streak.
+
+// Base points, before the combo multiplier
+const LEVEL_CLEAR_POINTS = 500;
+const NEAR_MISS_POINTS = 50;
+const ELIMINATED_POINTS = 100;
+const SHRUNK_POINTS = 10;
+const STREAK_POINTS = 250; // Per level in the current no-death streak
+
+// Clearing a level faster than this earns a time bonus
+const LEVEL_PAR_TIME = 30000;
+const TIME_BONUS_PER_SECOND = 20;
+
+// Every combo action adds a step to the multiplier, which holds for a moment
+// and then decays back towards 1
+const COMBO_STEP = 0.25;
+const MAX_MULTIPLIER = 5;
+const COMBO_HOLD_TIME = 1500;
+const COMBO_DECAY_PER_SECOND = 0.5;
+
+export function createScore() {
+    return {
+        total: 0,
+        multiplier: 1, // Current multiplier
+        comboPeak: 1, // Multiplier reached by the last combo action
+        comboEndTime: 0, // The peak holds until this time, then decays
+        streak: 0 // Levels cleared in a row without dying
+    };
+}
+
+// Scores what happened during the tick and decays the combo. Every award is
+// reported as a 'score' event so it can be shown where it happened.
+export function updateScore(world) {
+    const { score } = world;
+    score.multiplier = currentMultiplier(world);
+
+    // Awards are added to the events while they are being read
+    const events = world.events.slice();
+    events.forEach(event => {
+        switch (event.type) {
+            case 'nearMiss':
+                comboAction(world);
+                award(world, 'nearMiss', NEAR_MISS_POINTS, event.x, event.y);
+                break;
+            case 'obstacleEliminated':
+                comboAction(world);
+                award(world, 'eliminated', ELIMINATED_POINTS, event.x, event.y);
+                break;
+            case 'obstacleShrunk':
+                comboAction(world);
+                award(world, 'shrunk', SHRUNK_POINTS, event.x, event.y);
+                break;
+            case 'levelComplete': {
+                const { x, y } = exitCenter(world);
+                const timeBonus = Math.max(0, LEVEL_PAR_TIME - event.time) / 1000 * TIME_BONUS_PER_SECOND;
+                award(world, 'levelClear', LEVEL_CLEAR_POINTS + Math.round(timeBonus), x, y);
+                score.streak++;
+                award(world, 'streak', STREAK_POINTS * score.streak, x, y);
+                break;
+            }
+            case 'death':
+                score.multiplier = 1;
+                score.comboPeak = 1;
+                score.comboEndTime = 0;
+                score.streak = 0;
+                break;
+            default:
+                break;
+        }
+    });
+}
+
+function currentMultiplier(world) {
+    const { score } = world;
+    const decaying = Math.max(0, world.time - score.comboEndTime);
+    return Math.max(1, score.comboPeak - decaying / 1000 * COMBO_DECAY_PER_SECOND);
+}
+
+function comboAction(world) {
+    const { score } = world;
+    score.multiplier = Math.min(MAX_MULTIPLIER, score.multiplier + COMBO_STEP);
+    score.comboPeak = score.multiplier;
+    score.comboEndTime = world.time + COMBO_HOLD_TIME;
+}
+
+function award(world, reason, basePoints, x, y) {
+    const { score } = world;
+    const points = Math.round(basePoints * score.multiplier);
+    score.total += points;
+    world.events.push({
+        type: 'score',
+        reason,
+        points,
+        total: score.total,
+        multiplier: score.multiplier,
+        x,
+        y
+    });
+}
+
+function exitCenter(world) {
+    const { exit } = world;
+    return { x: exit.x + exit.width / 2, y: exit.y + exit.height / 2 };
+}
@@ -0,0 +1,293 @@
+// Shape registry. Each obstacle shape declares everything the game needs to
+// know about it in one place:
+//
+//   name         display name for menus and the level editor
+//   path         traces the outline onto a canvas path, centered on the
+//                origin and scaled by the obstacle's size (the caller fills it)
+//   hull         collision hull: convex polygons in multiples of size, in the
+//                same unrotated frame as `path`. Concave outlines are split
+//                into several convex parts and curves are approximated by
+//                polygons. Mass and moment of inertia follow from its area.
+//   behavior     optional default behavior for obstacles of this shape
+//   restitution  optional bounciness from 0 to 1 scaling the world's
+//                elasticity when the shape hits something (default 1)
+//
+// Adding a shape is one entry here: it becomes spawnable, valid in level
+// files, available in the editor palette, drawn and collided with.
+
+import { pointInPolygon } from './walls';
+
+// Corners of a regular polygon, or of a star when `innerRadius` is given
+function polygonPoints(corners, { radius = 1, innerRadius = null, startAngle = 0, x = 0, y = 0 } = {}) {
+    const step = innerRadius === null ? 1 : 2;
+    const points = [];
+    for (let i = 0; i < corners * step; i++) {
+        const angle = (i * 2 * Math.PI) / (corners * step) + startAngle;
+        const r = i % 2 === 1 && innerRadius !== null ? innerRadius : radius;
+        points.push({ x: x + Math.cos(angle) * r, y: y + Math.sin(angle) * r });
+    }
+    return points;
+}
+
+function rectanglePoints(halfWidth, halfHeight) {
+    return [
+        { x: -halfWidth, y: -halfHeight },
+        { x: halfWidth, y: -halfHeight },
+        { x: halfWidth, y: halfHeight },
+        { x: -halfWidth, y: halfHeight }
+    ];
+}
+
+function tracePoints(ctx, size, points) {
+    points.forEach((point, i) => {
+        if (i === 0) ctx.moveTo(point.x * size, point.y * size);
+        else ctx.lineTo(point.x * size, point.y * size);
+    });
+}
+
+// Straight segments per full turn when a curve is approximated for the hull
+const CURVE_SEGMENTS = 16;
+
+// Pentagram outline: the inner corners sit where the lines of a five-point
+// star drawn corner to corner cross
+const STAR_INNER_RADIUS = Math.cos(2 * Math.PI / 5) / Math.cos(Math.PI / 5);
+const STAR_OUTLINE = polygonPoints(5, { innerRadius: STAR_INNER_RADIUS, startAngle: -Math.PI / 2 });
+
+const CROSS_ARM = 0.3;
+const CROSS_OUTLINE = [
+    { x: -CROSS_ARM, y: -1 }, { x: CROSS_ARM, y: -1 }, { x: CROSS_ARM, y: -CROSS_ARM },
+    { x: 1, y: -CROSS_ARM }, { x: 1, y: CROSS_ARM }, { x: CROSS_ARM, y: CROSS_ARM },
+    { x: CROSS_ARM, y: 1 }, { x: -CROSS_ARM, y: 1 }, { x: -CROSS_ARM, y: CROSS_ARM },
+    { x: -1, y: CROSS_ARM }, { x: -1, y: -CROSS_ARM }, { x: -CROSS_ARM, y: -CROSS_ARM }
+];
+
+// Two round lobes on top of a kite that ends in the point
+const HEART_LOBES = [{ x: -0.45, y: -0.25 }, { x: 0.45, y: -0.25 }];
+const HEART_LOBE_RADIUS = 0.5;
+const HEART_POINT = [{ x: 0, y: 0.9 }, { x: -0.883, y: 0 }, { x: 0, y: -0.1 }, { x: 0.883, y: 0 }];
+
+// A crescent: the outer disc with an offset disc cut out of it
+const MOON_RADIUS = 0.8;
+const MOON_CUT = { x: 0.4, radius: 0.7 };
+const MOON_TIP = {
+    x: (MOON_RADIUS ** 2 - MOON_CUT.radius ** 2 + MOON_CUT.x ** 2) / (2 * MOON_CUT.x)
+};
+MOON_TIP.y = Math.sqrt(MOON_RADIUS ** 2 - MOON_TIP.x ** 2);
+const MOON_OUTER_ANGLE = Math.atan2(MOON_TIP.y, MOON_TIP.x);
+const MOON_CUT_ANGLE = Math.atan2(MOON_TIP.y, MOON_TIP.x - MOON_CUT.x);
+
+// Slices the crescent between its two arcs into thin convex quads, with a
+// triangle at each tip
+function moonHull() {
+    const slices = CURVE_SEGMENTS / 2;
+    const outer = [];
+    const inner = [];
+    for (let i = 0; i <= slices; i++) {
+        const outerAngle = MOON_OUTER_ANGLE + i * (2 * Math.PI - 2 * MOON_OUTER_ANGLE) / slices;
+        const innerAngle = MOON_CUT_ANGLE + i * (2 * Math.PI - 2 * MOON_CUT_ANGLE) / slices;
+        outer.push({ x: Math.cos(outerAngle) * MOON_RADIUS, y: Math.sin(outerAngle) * MOON_RADIUS });
+        inner.push({
+            x: MOON_CUT.x + Math.cos(innerAngle) * MOON_CUT.radius,
+            y: Math.sin(innerAngle) * MOON_CUT.radius
+        });
+    }
+
+    const parts = [];
+    for (let i = 0; i < slices; i++) {
+        const part = [outer[i], outer[i + 1], inner[i + 1], inner[i]];
+        // The arcs meet at the tips
+        if (i === 0) part.pop();
+        if (i === slices - 1) part.splice(2, 1);
+        parts.push(part);
+    }
+    return parts;
+}
+
+const CLOUD_PUFFS = [{ x: -0.24, y: 0 }, { x: 0.24, y: 0 }, { x: 0, y: -0.16 }];
+const CLOUD_PUFF_RADIUS = 0.24;
+
+// Bolt outline, split at its two inner corners into an upper and a lower part
+const LIGHTNING_UPPER = [
+    { x: 0.05, y: -1 }, { x: 0.45, y: -1 }, { x: 0.1, y: -0.15 }, { x: -0.1, y: 0.15 }, { x: -0.4, y: 0.15 }
+];
+const LIGHTNING_LOWER = [{ x: 0.1, y: -0.15 }, { x: 0.4, y: -0.15 }, { x: -0.35, y: 1 }, { x: -0.1, y: 0.15 }];
+const LIGHTNING_OUTLINE = [
+    LIGHTNING_UPPER[0], LIGHTNING_UPPER[1], LIGHTNING_UPPER[2],
+    LIGHTNING_LOWER[1], LIGHTNING_LOWER[2], LIGHTNING_LOWER[3],
+    LIGHTNING_UPPER[4]
+];
+
+const SPIRAL_OUTLINE = [0, 1, 2, 3].map(i => ({
+    x: Math.cos(i * Math.PI / 2) * 0.8 * (1 - i * 0.2),
+    y: Math.sin(i * Math.PI / 2) * 0.8 * (1 - i * 0.2)
+}));
+
+export const SHAPES = {
+    'triangle': {
+        name: 'Triangle',
+        hull: [[{ x: 0, y: -1 }, { x: 1, y: 1 }, { x: -1, y: 1 }]],
+        path: (ctx, size) => tracePoints(ctx, size, SHAPES.triangle.hull[0])
+    },
+    'square': {
+        name: 'Square',
+        hull: [rectanglePoints(1, 1)],
+        path: (ctx, size) => {
+            ctx.rect(-size, -size, size * 2, size * 2);
+        }
+    },
+    'rectangle': {
+        name: 'Rectangle',
+        hull: [rectanglePoints(1, 0.6)],
+        path: (ctx, size) => {
+            ctx.rect(-size, -size * 0.6, size * 2, size * 1.2);
+        }
+    },
+    'ellipse': {
+        name: 'Ellipse',
+        hull: [polygonPoints(CURVE_SEGMENTS).map(point => ({ x: point.x, y: point.y * 0.6 }))],
+        path: (ctx, size) => {
+            ctx.ellipse(0, 0, size, size * 0.6, 0, 0, Math.PI * 2);
+        }
+    },
+    'star': {
+        name: 'Star',
+        // The inner pentagon plus one triangle per point
+        hull: [
+            STAR_OUTLINE.filter((point, i) => i % 2 === 1),
+            ...STAR_OUTLINE.filter((point, i) => i % 2 === 0).map((tip, i) => [
+                tip,
+                STAR_OUTLINE[i * 2 + 1],
+                STAR_OUTLINE[(i * 2 + 9) % 10]
+            ])
+        ],
+        path: (ctx, size) => tracePoints(ctx, size, STAR_OUTLINE)
+    },
+    'pentagon': {
+        name: 'Pentagon',
+        hull: [polygonPoints(5, { startAngle: -Math.PI / 2 })],
+        path: (ctx, size) => tracePoints(ctx, size, SHAPES.pentagon.hull[0])
+    },
+    'hexagon': {
+        name: 'Hexagon',
+        hull: [polygonPoints(6)],
+        path: (ctx, size) => tracePoints(ctx, size, SHAPES.hexagon.hull[0])
+    },
+    'octagon': {
+        name: 'Octagon',
+        hull: [polygonPoints(8)],
+        path: (ctx, size) => tracePoints(ctx, size, SHAPES.octagon.hull[0])
+    },
+    'diamond': {
+        name: 'Diamond',
+        hull: [[{ x: 0, y: -1 }, { x: 1, y: 0 }, { x: 0, y: 1 }, { x: -1, y: 0 }]],
+        path: (ctx, size) => tracePoints(ctx, size, SHAPES.diamond.hull[0])
+    },
+    'cross': {
+        name: 'Cross',
+        // The two overlapping bars
+        hull: [rectanglePoints(1, CROSS_ARM), rectanglePoints(CROSS_ARM, 1)],
+        path: (ctx, size) => tracePoints(ctx, size, CROSS_OUTLINE)
+    },
+    'heart': {
+        name: 'Heart',
+        hull: [
+            ...HEART_LOBES.map(lobe => polygonPoints(CURVE_SEGMENTS, { radius: HEART_LOBE_RADIUS, ...lobe })),
+            HEART_POINT
+        ],
+        restitution: 0.6,
+        path: (ctx, size) => {
+            HEART_LOBES.forEach(lobe => {
+                ctx.moveTo((lobe.x + HEART_LOBE_RADIUS) * size, lobe.y * size);
+                ctx.arc(lobe.x * size, lobe.y * size, HEART_LOBE_RADIUS * size, 0, Math.PI * 2);
+            });
+            // Wound the same way as the lobes so the parts fill as one
+            tracePoints(ctx, size, HEART_POINT);
+        }
+    },
+    'moon': {
+        name: 'Moon',
+        hull: moonHull(),
+        restitution: 0.8,
+        behavior: 'orbiter',
+        path: (ctx, size) => {
+            ctx.arc(0, 0, MOON_RADIUS * size, MOON_OUTER_ANGLE, 2 * Math.PI - MOON_OUTER_ANGLE);
+            ctx.arc(MOON_CUT.x * size, 0, MOON_CUT.radius * size, -MOON_CUT_ANGLE, MOON_CUT_ANGLE, true);
+        }
+    },
+    'cloud': {
+        name: 'Cloud',
+        hull: CLOUD_PUFFS.map(puff => polygonPoints(CURVE_SEGMENTS, { radius: CLOUD_PUFF_RADIUS, ...puff })),
+        restitution: 0.4,
+        behavior: 'pack',
+        path: (ctx, size) => {
+            CLOUD_PUFFS.forEach(puff => {
+                ctx.moveTo((puff.x + CLOUD_PUFF_RADIUS) * size, puff.y * size);
+                ctx.arc(puff.x * size, puff.y * size, CLOUD_PUFF_RADIUS * size, 0, Math.PI * 2);
+            });
+        }
+    },
+    'lightning': {
+        name: 'Lightning',
+        hull: [LIGHTNING_UPPER, LIGHTNING_LOWER],
+        behavior: 'interceptor',
+        path: (ctx, size) => tracePoints(ctx, size, LIGHTNING_OUTLINE)
+    },
+    'spiral': {
+        name: 'Spiral',
+        hull: [SPIRAL_OUTLINE],
+        path: (ctx, size) => tracePoints(ctx, size, SPIRAL_OUTLINE)
+    }
+};
+
+export const SHAPE_TYPES = Object.keys(SHAPES);
+
+// Radius of the smallest circle around the origin that holds a shape's hull,
+// in multiples of size; cheap to test before the hull itself
+const HULL_RADII = {};
+
+export function hullRadius(shapeType) {
+    if (HULL_RADII[shapeType] === undefined) {
+        HULL_RADII[shapeType] = Math.max(...SHAPES[shapeType].hull.flat()
+            .map(point => Math.sqrt(point.x * point.x + point.y * point.y)));
+    }
+    return HULL_RADII[shapeType];
+}
+
+export function shapeRestitution(shapeType) {
+    const { restitution } = SHAPES[shapeType];
+    return restitution === undefined ? 1 : restitution;
+}
+
+// Samples per side of the grid used to measure a hull
+const MASS_SAMPLES = 64;
+
+// Area of a shape's hull and the mean squared distance of that area from the
+// center, both for size 1. Overlapping hull parts are only counted once.
+const MASS_PROPERTIES = {};
+
+export function shapeMassProperties(shapeType) {
+    if (MASS_PROPERTIES[shapeType] === undefined) {
+        const { hull } = SHAPES[shapeType];
+        const radius = hullRadius(shapeType);
+        const step = radius * 2 / MASS_SAMPLES;
+        let samples = 0;
+        let squaredDistances = 0;
+
+        for (let row = 0; row < MASS_SAMPLES; row++) {
+            for (let column = 0; column < MASS_SAMPLES; column++) {
+                const x = -radius + (column + 0.5) * step;
+                const y = -radius + (row + 0.5) * step;
+                if (hull.some(part => pointInPolygon(x, y, part))) {
+                    samples++;
+                    squaredDistances += x * x + y * y;
+                }
+            }
+        }
+
+        MASS_PROPERTIES[shapeType] = {
+            area: samples * step * step,
+            gyrationSquared: samples > 0 ? squaredDistances / samples : 0
+        };
+    }
+    return MASS_PROPERTIES[shapeType];
+}
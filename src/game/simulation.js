@@ -0,0 +1,1107 @@
+// Headless game simulation. Everything in here works on a plain world object
+// and never touches the DOM, the canvas or the wall clock, so the same code
+// drives the browser game and can run under Node for tests, bots and tuning.
+// All gameplay randomness goes through the world's seeded generator, so the
+// same seed and the same input frames always replay the same run.
+
+import { createRng, nextRandom, randomInt, randomItem } from './rng';
+import { resolveWallCollisions, circlePolygonContact, pointInPolygon } from './walls';
+import { BEHAVIORS, PATH_SEARCHES_PER_TICK, pickBehavior, createBehaviorTraits } from './behaviors';
+import { createStateFields, setObstacleState, updateObstacleState, isSolid } from './obstacleStates';
+import { SHAPES, SHAPE_TYPES, shapeRestitution, shapeMassProperties } from './shapes';
+import { circleHitsObstacle } from './collision';
+import { createSpatialHash, insertCircle, forEachPair } from './spatialHash';
+import { createScore, updateScore } from './scoring';
+
+export const TIME_STEP = 1000 / 60; // Simulated milliseconds per tick
+
+export const DEFAULT_LIVES = 3;
+
+// Passing a shape this close without touching it counts as a near miss
+const NEAR_MISS_DISTANCE = 12;
+
+// Picked up powers wait in inventory slots until the player uses them.
+// Picking up a power already in a slot adds a charge to that slot (up to
+// MAX_POWER_CHARGES); any other power takes the first empty slot. Using a
+// power already running restarts its timer rather than adding to it, and
+// using another one replaces it. Every use puts all slots on cooldown.
+export const POWER_SLOTS = 3;
+export const MAX_POWER_CHARGES = 3;
+export const POWER_COOLDOWN = 1000;
+
+// Input frame with nothing pressed
+export const EMPTY_INPUT = {
+    up: false,
+    down: false,
+    left: false,
+    right: false,
+    touch: null,
+    blink: false, // Teleport ahead while the Blink power is active
+    usePower: null, // Inventory slot to use this tick
+    command: null // 'restartLevel' or 'advanceLevel', applied before the tick
+};
+
+// Colors with their lighter variants
+export const OBSTACLE_COLORS = [
+    { base: '#FF0000', light: '#FF6666' },
+    { base: '#FF4500', light: '#FF8C66' },
+    { base: '#FFA500', light: '#FFC266' },
+    { base: '#FFD700', light: '#FFE666' },
+    { base: '#FFFF00', light: '#FFFF66' },
+    { base: '#9ACD32', light: '#B8E666' },
+    { base: '#32CD32', light: '#66E666' },
+    { base: '#008000', light: '#66B866' }
+];
+
+// Area and self powers
+const FREEZE_DURATION = 4000;
+const MAGNET_RADIUS = 200;
+const MAGNET_FORCE = 4; // Pixels per tick at the player, fading to 0 at the radius
+const BLINK_DISTANCE = 120;
+const BLINK_COOLDOWN = 400;
+const BLINK_STEP = 4; // Blink paths are checked against the walls this often
+
+// Superpower properties. Powers lie around the arena as pickups (see below)
+// of their `rarity`, and go into the inventory when the player touches one.
+// A power acts through any of:
+// - effect(world, shape): on every shape the player touches while it is
+//   active; the player cannot be hurt meanwhile
+// - activate(world): once, when it is used
+// - update(world, input): every tick while it is active
+// - absorbHit(world, shape): instead of losing a life to a shape
+export const SUPER_POWERS = {
+    'star': {
+        name: 'Shape Shifter',
+        rarity: 'common',
+        duration: 5000,
+        color: '#FFD700', // Gold
+        effect: (world, shape) => {
+            const cooldown = world.shapeShifterCooldown;
+            if (!cooldown.active || world.time - cooldown.lastChange >= cooldown.cooldownTime) {
+                const previous = shape.shape;
+                shape.shape = randomShapeType(world);
+                emit(world, 'obstacleShifted', { x: shape.x, y: shape.y, shape: shape.shape, previous });
+                cooldown.lastChange = world.time;
+                cooldown.active = true;
+                // The new shape needs a moment to find its bearings
+                setObstacleState(world, shape, 'stunned', 500);
+            }
+        }
+    },
+    'star_eliminator': {
+        name: 'Shape Eliminator',
+        rarity: 'rare',
+        duration: 2000,
+        color: '#FF69B4', // Pink
+        effect: (world, shape) => {
+            // The shape shrinks away and is removed once its dying state ends
+            setObstacleState(world, shape, 'dying', 400);
+            emit(world, 'obstacleEliminated', { x: shape.x, y: shape.y, shape: shape.shape });
+        }
+    },
+    'star_reducer': {
+        name: 'Size Reducer',
+        rarity: 'common',
+        duration: 3000,
+        color: '#00FFFF', // Cyan
+        effect: (world, shape) => {
+            const previousSize = shape.size;
+            shape.size *= 0.9;
+            shape.size = Math.max(shape.size, world.minShapeSize);
+            if (shape.size < previousSize) {
+                emit(world, 'obstacleShrunk', { x: shape.x, y: shape.y, shape: shape.shape, size: shape.size });
+            }
+            if (shape.state !== 'fleeing') {
+                setObstacleState(world, shape, 'fleeing', 1500);
+            }
+        }
+    },
+    'star_freeze': {
+        name: 'Freeze',
+        rarity: 'rare',
+        duration: FREEZE_DURATION,
+        color: '#B0E0FF', // Ice blue
+        activate: (world) => {
+            // Every shape halts where it is; touching one still hurts
+            world.obstacles.forEach(obstacle => {
+                if (isSolid(obstacle)) setObstacleState(world, obstacle, 'frozen', FREEZE_DURATION);
+            });
+        }
+    },
+    'star_shield': {
+        name: 'Shield',
+        rarity: 'epic',
+        duration: 15000,
+        color: '#7B68EE', // Slate blue
+        absorbHit: (world, shape) => {
+            const { player } = world;
+            emit(world, 'shieldBroken', { x: player.x, y: player.y });
+            deactivatePlayerPower(world);
+            // A moment to get clear of the shape that broke it
+            world.invulnerableUntil = world.time + world.invulnerabilityTime / 2;
+            setObstacleState(world, shape, 'stunned', 500);
+        }
+    },
+    'star_magnet': {
+        name: 'Magnet Repel',
+        rarity: 'common',
+        duration: 5000,
+        color: '#FF8C00', // Dark orange
+        update: (world) => {
+            const { player } = world;
+            world.obstacles.forEach(obstacle => {
+                if (!isSolid(obstacle)) return;
+                const dx = obstacle.x - player.x;
+                const dy = obstacle.y - player.y;
+                const distance = Math.sqrt(dx * dx + dy * dy);
+                if (distance === 0 || distance >= MAGNET_RADIUS + obstacle.size) return;
+
+                // Pushed straight out, whatever the shape's behavior wants
+                const push = MAGNET_FORCE * (1 - distance / (MAGNET_RADIUS + obstacle.size));
+                obstacle.x += (dx / distance) * push;
+                obstacle.y += (dy / distance) * push;
+                resolveWallCollisions(obstacle, obstacle.size, world.walls);
+            });
+        }
+    },
+    'star_blink': {
+        name: 'Blink',
+        rarity: 'rare',
+        duration: 8000,
+        color: '#DA70D6', // Orchid
+        update: (world, input) => {
+            const { player, playerPower } = world;
+            if (!input.blink || world.time < playerPower.nextBlink) return;
+
+            const fromX = player.x;
+            const fromY = player.y;
+            // Up against a wall there is nowhere to blink to
+            const distance = blinkDistance(world);
+            if (distance === 0) return;
+
+            player.x += player.facing.x * distance;
+            player.y += player.facing.y * distance;
+            keepPlayerInBounds(world);
+            playerPower.nextBlink = world.time + BLINK_COOLDOWN;
+            emit(world, 'blink', { fromX, fromY, x: player.x, y: player.y });
+        }
+    }
+};
+
+// Radius of the Magnet Repel field, for drawing it
+export const MAGNET_REPEL_RADIUS = MAGNET_RADIUS;
+
+// Pickups are helpful items, separate from the shapes: they sit still and
+// hand their power to the player who touches them, as long as the inventory
+// has room for it. Procedural levels spawn one every so often, keeping them
+// clear of the player and the portals; campaign levels place their own.
+// The rarer a power's tier, the less often it spawns and the sooner its
+// pickup vanishes again.
+export const RARITY_TIERS = {
+    common: { name: 'Common', weight: 6, lifetime: 12000, color: '#FFFFFF' },
+    rare: { name: 'Rare', weight: 3, lifetime: 9000, color: '#4FC3F7' },
+    epic: { name: 'Epic', weight: 1, lifetime: 6000, color: '#FFD700' }
+};
+
+export const PICKUP_RADIUS = 16;
+const PICKUP_INTERVAL = { min: 5000, max: 10000 }; // Time between spawns
+const MAX_PICKUPS = 2; // No spawns while this many are out
+const PICKUP_CLEARANCE = 100; // Spawn distance from the player and the portals
+
+// Portal colors shared by the entrance and the exit
+const PORTAL_COLOR = '#87CEEB';
+const PORTAL_LIGHT_COLOR = '#B0E0E6';
+
+// `campaign` is a parsed campaign from ./levels; without one, levels are
+// generated procedurally. `lives` is how many deaths end the run.
+export function createWorld({ width = 800, height = 600, level = 1, seed, campaign = null, lives = DEFAULT_LIVES } = {}) {
+    const world = {
+        width,
+        height,
+        rng: createRng(seed),
+        campaign,
+        time: 0,
+        tick: 0,
+        events: [],
+
+        // Game state
+        level,
+        levelName: '',
+        levelStartTime: 0,
+        winConditions: [{ type: 'reachExit' }],
+        gameOver: false, // Out of lives; the run is over
+        success: false,
+
+        // Lives and the grace period after losing one
+        lives,
+        maxLives: lives,
+        invulnerableUntil: 0,
+        invulnerabilityTime: 2000, // 2 seconds
+
+        // Points, combo multiplier and no-death streak (see ./scoring)
+        score: createScore(),
+
+        // Run statistics kept for the run history and achievements
+        deaths: 0,
+        powersUsed: 0,
+        powersAcquired: 0,
+
+        // Player power state: the running power and the inventory
+        playerPower: {
+            active: false,
+            type: null,
+            endTime: 0,
+            nextBlink: 0,
+            slots: new Array(POWER_SLOTS).fill(null), // { type, charges } or null
+            readyTime: 0 // Slots are on cooldown until this time
+        },
+
+        // Player properties
+        player: {
+            x: 50,
+            y: height / 2,
+            radius: 20,
+            color: '#87CEEB',
+            shape: 'circle',
+            speed: 8,
+            facing: { x: 1, y: 0 }, // Direction of the last move, used by Blink
+            infected: false
+        },
+
+        // Physics properties
+        elasticity: 0.8, // Bounce factor
+        friction: 0.99, // Friction factor, also damping spin picked up in collisions
+        contactFriction: 0.3, // Grip between touching shapes that turns glancing blows into spin
+
+        // Entrance protection properties
+        entranceProtectionRadius: 150, // Protection zone radius
+        entranceProtectionForce: 0.8, // Force to push obstacles away
+
+        // Shrink factor for shapes
+        shrinkFactor: 0.95, // Shapes will shrink to 95% of their size on collision
+
+        // Game boundaries with fancy entrance and exit
+        entrance: {
+            x: 0,
+            y: height / 2 - 50,
+            width: 20,
+            height: 100,
+            color: PORTAL_COLOR,
+            lightColor: PORTAL_LIGHT_COLOR
+        },
+        exit: {
+            x: width - 20,
+            y: height / 2 - 50,
+            width: 20,
+            height: 100,
+            color: PORTAL_COLOR,
+            lightColor: PORTAL_LIGHT_COLOR
+        },
+
+        // Static wall polygons; procedural levels are open arenas
+        walls: [],
+
+        // Power-ups lying around ({ power, x, y, expireTime }) and when the
+        // next one spawns; null when the level places its own
+        pickups: [],
+        nextPickupTime: null,
+
+        // Stuck detection properties
+        stuckTimer: 0,
+        stuckThreshold: 2000, // 2 seconds
+        lastPlayerPosition: { x: 0, y: 0 },
+        positionChangeThreshold: 5, // Minimum distance to consider movement
+
+        // Cooldown for shape shifter
+        shapeShifterCooldown: {
+            active: false,
+            lastChange: 0,
+            cooldownTime: 1000 // 1 second cooldown
+        }
+    };
+
+    world.minShapeSize = world.player.radius * 0.5; // Minimum size is half of player's radius
+
+    if (campaign) {
+        loadCampaignLevel(world);
+        resetPlayer(world);
+        world.events = [];
+    } else {
+        world.obstacles = createInitialObstacles(world);
+        schedulePickup(world);
+    }
+
+    return world;
+}
+
+// Advances the world by one tick for the given input frame. The world is
+// updated in place and returned; `world.events` lists what happened during
+// this tick so a renderer can react (particles, overlays, event subscribers).
+export function stepWorld(world, input = EMPTY_INPUT) {
+    world.events = [];
+
+    // Once the run is over only the clock moves on
+    if (world.gameOver) {
+        world.tick++;
+        world.time += TIME_STEP;
+        return world;
+    }
+
+    if (input.command === 'restartLevel') {
+        restartLevel(world);
+    } else if (input.command === 'advanceLevel') {
+        advanceLevel(world);
+    }
+
+    if (!world.success) {
+        if (Number.isInteger(input.usePower)) activatePowerSlot(world, input.usePower);
+        updatePlayer(world, input);
+        updateObstacles(world);
+        updatePickups(world);
+        updatePlayerPower(world, input);
+    }
+
+    updateScore(world);
+
+    world.tick++;
+    world.time += TIME_STEP;
+    return world;
+}
+
+export function advanceLevel(world) {
+    if (world.campaign) {
+        advanceCampaignLevel(world);
+        return;
+    }
+
+    world.level++;
+    world.levelStartTime = world.time;
+    emit(world, 'levelStart', { level: world.level, name: world.levelName });
+
+    // Keep existing shapes; pickups left lying around are gone
+    world.pickups = [];
+    schedulePickup(world);
+
+    // Add one new shape; packs arrive together
+    const shapeType = randomShapeType(world);
+    const traits = createLaterObstacleTraits(world, shapeType);
+    const groupSize = BEHAVIORS[traits.behavior].groupSize || 1;
+    for (let i = 0; i < groupSize; i++) {
+        world.obstacles.push(createObstacle(world, shapeType, traits));
+    }
+
+    // Reset player position
+    resetPlayer(world);
+}
+
+// Adds `count` generated shapes to the current level, e.g. to stress-test
+// the simulation
+export function spawnObstacles(world, count) {
+    for (let i = 0; i < count; i++) {
+        const shapeType = randomShapeType(world);
+        world.obstacles.push(createObstacle(world, shapeType, createLaterObstacleTraits(world, shapeType)));
+    }
+}
+
+export function restartLevel(world) {
+    resetPlayer(world);
+    emit(world, 'levelReset');
+
+    if (world.campaign) {
+        loadCampaignLevel(world);
+        return;
+    }
+
+    // Create new random initial obstacles
+    world.levelStartTime = world.time;
+    world.obstacles = createInitialObstacles(world);
+    world.pickups = [];
+    schedulePickup(world);
+}
+
+function advanceCampaignLevel(world) {
+    if (world.level >= world.campaign.levels.length) {
+        // Last level cleared; the world stays in its success state
+        emit(world, 'campaignComplete', { name: world.campaign.name });
+        return;
+    }
+
+    world.level++;
+    emit(world, 'levelStart', { level: world.level, name: world.campaign.levels[world.level - 1].name });
+    loadCampaignLevel(world);
+    resetPlayer(world);
+}
+
+// Builds portals, obstacles and win conditions from the current campaign level
+function loadCampaignLevel(world) {
+    const level = world.campaign.levels[world.level - 1];
+
+    world.levelName = level.name;
+    world.levelStartTime = world.time;
+    world.winConditions = level.winConditions;
+    world.entrance = { ...level.entrance, color: PORTAL_COLOR, lightColor: PORTAL_LIGHT_COLOR };
+    world.exit = { ...level.exit, color: PORTAL_COLOR, lightColor: PORTAL_LIGHT_COLOR };
+    world.walls = level.walls;
+    world.pickups = level.pickups.map(pickup => ({
+        power: pickup.power,
+        x: pickup.x,
+        y: pickup.y,
+        expireTime: pickup.lifetime === undefined ? null : world.time + pickup.lifetime
+    }));
+    world.obstacles = level.obstacles.map(spawn => ({
+        ...createObstacleState(world),
+        ...spawn,
+        blindDurationRange: { ...spawn.blindDurationRange }
+    }));
+
+    // Levels can start obstacles off in another state, e.g. idle for a few seconds
+    world.obstacles.forEach(obstacle => {
+        if (obstacle.startState && obstacle.startState !== 'hunting') {
+            setObstacleState(world, obstacle, obstacle.startState,
+                obstacle.startStateDuration === undefined ? null : obstacle.startStateDuration);
+        }
+    });
+}
+
+function emit(world, type, details = {}) {
+    world.events.push({ type, ...details });
+}
+
+function random(world) {
+    return nextRandom(world.rng);
+}
+
+function randomShapeType(world) {
+    return randomItem(world.rng, SHAPE_TYPES);
+}
+
+function randomRarity(world) {
+    const tiers = Object.keys(RARITY_TIERS);
+    const totalWeight = tiers.reduce((total, tier) => total + RARITY_TIERS[tier].weight, 0);
+    let roll = random(world) * totalWeight;
+    return tiers.find(tier => {
+        roll -= RARITY_TIERS[tier].weight;
+        return roll < 0;
+    }) || tiers[tiers.length - 1];
+}
+
+// Movement, behavior and state machine fields every obstacle starts with
+function createObstacleState(world) {
+    return {
+        ...createStateFields(world),
+        behavior: 'chaser',
+        spin: 0, // Extra rotation per tick picked up in collisions
+        touchingPlayer: false, // Whether the player touched it last tick
+        nearMiss: null, // 'near' while the player passes close, 'spoiled' once touched
+        waypointIndex: 0, // Patrollers: index into `waypoints`
+        triggered: false, // Ambushers: whether the player has sprung the ambush
+        speedX: 0,
+        speedY: 0,
+        baseSpeed: 2,
+        path: null, // Waypoints around walls, null while the player is in sight
+        nextPathTick: 0
+    };
+}
+
+function createObstacle(world, shapeType, traits) {
+    const colorIndex = randomInt(world.rng, OBSTACLE_COLORS.length);
+
+    return {
+        x: random(world) * (world.width - 100) + 50,
+        y: random(world) * (world.height - 100) + 50,
+        color: OBSTACLE_COLORS[colorIndex].base,
+        lightColor: OBSTACLE_COLORS[colorIndex].light,
+        shape: shapeType,
+        ...createObstacleState(world),
+        rotation: random(world) * Math.PI * 2,
+        rotationSpeed: (random(world) - 0.5) * 0.02,
+        ...traits
+    };
+}
+
+// Traits of the shapes a fresh level starts with
+function createInitialObstacleTraits(world) {
+    return {
+        size: 40,
+        blindChance: 0.3,
+        blindDurationRange: { min: 1000, max: 3000 },
+        chaseAccuracy: 0.5 + random(world) * 0.5
+    };
+}
+
+// Traits of the shapes added as levels progress. The behavior is the shape's
+// own default once the level has unlocked it, otherwise a random unlocked one.
+function createLaterObstacleTraits(world, shapeType) {
+    const shapeBehavior = SHAPES[shapeType].behavior;
+    const behavior = shapeBehavior && BEHAVIORS[shapeBehavior].minLevel <= world.level
+        ? shapeBehavior
+        : pickBehavior(world);
+
+    return {
+        ...createBehaviorTraits(world, behavior),
+        size: Math.max(30 + random(world) * 60, world.minShapeSize),
+        blindChance: 0.2 + random(world) * 0.2,
+        blindDurationRange: {
+            min: 1000 + random(world) * 1000,
+            max: 2000 + random(world) * 2000
+        },
+        chaseAccuracy: 0.3 + random(world) * 0.7
+    };
+}
+
+function createInitialObstacles(world) {
+    const obstacles = [];
+
+    // Start with one shape
+    obstacles.push(createObstacle(world, randomShapeType(world), createInitialObstacleTraits(world)));
+
+    return obstacles;
+}
+
+function updatePlayer(world, input) {
+    const { player } = world;
+
+    // Store previous position
+    world.lastPlayerPosition.x = player.x;
+    world.lastPlayerPosition.y = player.y;
+
+    // Keyboard controls
+    if (input.up) player.y -= player.speed;
+    if (input.down) player.y += player.speed;
+    if (input.left) player.x -= player.speed;
+    if (input.right) player.x += player.speed;
+
+    // Touch controls
+    if (input.touch) {
+        const dx = input.touch.x - player.x;
+        const dy = input.touch.y - player.y;
+        const distance = Math.sqrt(dx * dx + dy * dy);
+        if (distance > 5) {
+            player.x += (dx / distance) * player.speed;
+            player.y += (dy / distance) * player.speed;
+        }
+    }
+
+    // Remember which way the player is heading
+    const movedX = player.x - world.lastPlayerPosition.x;
+    const movedY = player.y - world.lastPlayerPosition.y;
+    const moved = Math.sqrt(movedX * movedX + movedY * movedY);
+    if (moved > 0) {
+        player.facing = { x: movedX / moved, y: movedY / moved };
+    }
+
+    keepPlayerInBounds(world);
+
+    // Check for exit collision
+    if (checkWinConditions(world)) {
+        world.success = true;
+        emit(world, 'levelComplete', { level: world.level, time: world.time - world.levelStartTime });
+        advanceLevel(world);
+    }
+
+    // Check if player is stuck at entrance
+    checkIfStuck(world);
+}
+
+// Keeps the player inside the arena and out of the walls; pushing out along
+// a wall lets it slide
+function keepPlayerInBounds(world) {
+    const { player } = world;
+    player.x = Math.max(player.radius, Math.min(world.width - player.radius, player.x));
+    player.y = Math.max(player.radius, Math.min(world.height - player.radius, player.y));
+    resolveWallCollisions(player, player.radius, world.walls);
+}
+
+// How far the player can blink before running into a wall; Blink never
+// passes through one
+function blinkDistance(world) {
+    const { player } = world;
+    let distance = 0;
+    while (distance < BLINK_DISTANCE) {
+        const next = Math.min(BLINK_DISTANCE, distance + BLINK_STEP);
+        const x = player.x + player.facing.x * next;
+        const y = player.y + player.facing.y * next;
+        if (world.walls.some(wall => circlePolygonContact(x, y, player.radius, wall.points))) break;
+        distance = next;
+    }
+    return distance;
+}
+
+function checkIfStuck(world) {
+    // Calculate distance moved
+    const dx = world.player.x - world.lastPlayerPosition.x;
+    const dy = world.player.y - world.lastPlayerPosition.y;
+    const distanceMoved = Math.sqrt(dx * dx + dy * dy);
+
+    // Check if player is near entrance
+    const isNearEntrance = Math.abs(world.player.x - world.entrance.x) < 100;
+
+    if (isNearEntrance && distanceMoved < world.positionChangeThreshold) {
+        world.stuckTimer += TIME_STEP;
+        if (world.stuckTimer >= world.stuckThreshold) {
+            restartLevel(world);
+            world.stuckTimer = 0;
+        }
+    } else {
+        world.stuckTimer = 0;
+    }
+}
+
+function updateObstacles(world) {
+    const { player, entrance } = world;
+    const behaviorContext = { pathSearches: PATH_SEARCHES_PER_TICK };
+
+    world.obstacles.forEach(obstacle => {
+        // Update rotation; spin from collisions wears off like speed does.
+        // Frozen shapes do not even turn.
+        if (obstacle.state !== 'frozen') {
+            obstacle.rotation += obstacle.rotationSpeed + obstacle.spin;
+        }
+        obstacle.spin *= world.friction;
+
+        // Calculate size-based speed
+        const speed = calculateSizeBasedSpeed(obstacle.size);
+
+        // Check if obstacle is in entrance protection zone
+        const dxToEntrance = obstacle.x - entrance.x;
+        const dyToEntrance = obstacle.y - (entrance.y + entrance.height / 2);
+        const distanceToEntrance = Math.sqrt(dxToEntrance * dxToEntrance + dyToEntrance * dyToEntrance);
+
+        if (distanceToEntrance < world.entranceProtectionRadius) {
+            // Calculate repulsion force
+            const forceMagnitude = world.entranceProtectionForce *
+                (1 - distanceToEntrance / world.entranceProtectionRadius);
+            const forceX = (dxToEntrance / distanceToEntrance) * forceMagnitude;
+            const forceY = (dyToEntrance / distanceToEntrance) * forceMagnitude;
+
+            // Apply repulsion force
+            obstacle.speedX += forceX;
+            obstacle.speedY += forceY;
+        }
+
+        // Let the current state steer, or move on once its time is up
+        updateObstacleState(world, obstacle, speed, behaviorContext);
+        if (obstacle.removed) return;
+
+        // Apply friction
+        obstacle.speedX *= world.friction;
+        obstacle.speedY *= world.friction;
+
+        // Update position
+        obstacle.x += obstacle.speedX;
+        obstacle.y += obstacle.speedY;
+
+        // Keep obstacle in bounds with bounce
+        const elasticity = world.elasticity * shapeRestitution(obstacle.shape);
+        if (obstacle.x - obstacle.size < 0) {
+            obstacle.x = obstacle.size;
+            obstacle.speedX = -obstacle.speedX * elasticity;
+        } else if (obstacle.x + obstacle.size > world.width) {
+            obstacle.x = world.width - obstacle.size;
+            obstacle.speedX = -obstacle.speedX * elasticity;
+        }
+
+        if (obstacle.y - obstacle.size < 0) {
+            obstacle.y = obstacle.size;
+            obstacle.speedY = -obstacle.speedY * elasticity;
+        } else if (obstacle.y + obstacle.size > world.height) {
+            obstacle.y = world.height - obstacle.size;
+            obstacle.speedY = -obstacle.speedY * elasticity;
+        }
+
+        // Bounce off walls
+        resolveWallCollisions(obstacle, obstacle.size, world.walls, elasticity);
+    });
+
+    // Drop shapes whose dying state has run out
+    world.obstacles = world.obstacles.filter(obstacle => !obstacle.removed);
+
+    // Dying shapes no longer touch anything
+    const solidObstacles = world.obstacles.filter(isSolid);
+    resolveObstacleCollisions(world, solidObstacles);
+
+    solidObstacles.forEach(obstacle => {
+        // Check collision with player
+        const touching = checkCollision(player, obstacle);
+        if (touching && !obstacle.touchingPlayer) {
+            emit(world, 'collision', { x: obstacle.x, y: obstacle.y, shape: obstacle.shape });
+        }
+        obstacle.touchingPlayer = touching;
+        checkNearMiss(world, obstacle, touching);
+        if (touching) {
+            handleCollision(world, obstacle);
+        }
+
+        // Apply power effect if player has an active contact power
+        const power = activePower(world);
+        if (power && power.effect && checkCollision(player, obstacle)) {
+            power.effect(world, obstacle);
+            emit(world, 'powerApplied', { x: obstacle.x, y: obstacle.y, color: power.color });
+        }
+    });
+}
+
+// Bounces obstacles off each other, testing only the pairs the broadphase
+// finds close together
+function resolveObstacleCollisions(world, obstacles) {
+    const hash = createSpatialHash(world.width, world.height);
+    obstacles.forEach(obstacle => insertCircle(hash, obstacle, obstacle.x, obstacle.y, obstacle.size));
+    forEachPair(hash, (obstacle1, obstacle2) => handleObstacleCollision(world, obstacle1, obstacle2));
+}
+
+function calculateSizeBasedSpeed(size) {
+    // Larger shapes move slower
+    const minSize = 30;
+    const maxSize = 90;
+    const speedRange = 2.0 - 0.5; // Speed range from 2.0 to 0.5
+    const sizeRatio = (size - minSize) / (maxSize - minSize);
+    return 2.0 - (speedRange * sizeRatio);
+}
+
+// Shapes cannot hurt the player close to the entrance
+function isInEntranceZone(world) {
+    const { player, entrance } = world;
+    const dxToEntrance = player.x - entrance.x;
+    const dyToEntrance = player.y - (entrance.y + entrance.height / 2);
+    const distanceToEntrance = Math.sqrt(dxToEntrance * dxToEntrance + dyToEntrance * dyToEntrance);
+    return distanceToEntrance <= world.entranceProtectionRadius;
+}
+
+// A near miss is reported when the player leaves a shape's near zone without
+// having touched it. Only passes that could have cost a life count.
+function checkNearMiss(world, obstacle, touching) {
+    const { player } = world;
+    const near = circleHitsObstacle(player.x, player.y, player.radius + NEAR_MISS_DISTANCE, obstacle);
+
+    if (near) {
+        const risky = !protectedByPower(world) && !isInvulnerable(world) && !isInEntranceZone(world);
+        if (touching || !risky) {
+            obstacle.nearMiss = 'spoiled';
+        } else if (obstacle.nearMiss === null) {
+            obstacle.nearMiss = 'near';
+        }
+        return;
+    }
+
+    if (obstacle.nearMiss === 'near') {
+        emit(world, 'nearMiss', { x: obstacle.x, y: obstacle.y, shape: obstacle.shape });
+    }
+    obstacle.nearMiss = null;
+}
+
+function handleCollision(world, obstacle) {
+    const { player } = world;
+    if (world.gameOver) return;
+    if (isInEntranceZone(world) || protectedByPower(world) || isInvulnerable(world)) return;
+
+    const power = activePower(world);
+    if (power && power.absorbHit) {
+        power.absorbHit(world, obstacle);
+        return;
+    }
+
+    // Normal collision - costs a life
+    player.infected = true;
+    world.lives--;
+    world.deaths++;
+    emit(world, 'death', { x: player.x, y: player.y, color: obstacle.color, lives: world.lives });
+
+    if (world.lives <= 0) {
+        endRun(world);
+        return;
+    }
+
+    // Respawn at the entrance, briefly untouchable
+    resetPlayer(world);
+    world.invulnerableUntil = world.time + world.invulnerabilityTime;
+}
+
+export function isInvulnerable(world) {
+    return world.time < world.invulnerableUntil;
+}
+
+// Last life lost: the world freezes and reports how far the run got
+function endRun(world) {
+    world.gameOver = true;
+    deactivatePlayerPower(world);
+    emit(world, 'gameOver', {
+        level: world.level,
+        levelName: world.levelName,
+        time: world.time,
+        score: world.score.total
+    });
+}
+
+function resetPlayer(world) {
+    // Reset player position and state, just inside the entrance
+    world.player.x = world.entrance.x + world.entrance.width + 30;
+    world.player.y = world.entrance.y + world.entrance.height / 2;
+    world.player.infected = false;
+
+    // Reset game state
+    world.success = false;
+    world.stuckTimer = 0;
+
+    // Reset power state
+    deactivatePlayerPower(world);
+
+    // Jumping back to the entrance is not a near miss
+    world.obstacles.forEach(obstacle => {
+        obstacle.nearMiss = null;
+    });
+
+    emit(world, 'playerReset');
+}
+
+// The player touches the obstacle's actual rotated outline
+function checkCollision(player, obstacle) {
+    return circleHitsObstacle(player.x, player.y, player.radius, obstacle);
+}
+
+function checkWinConditions(world) {
+    return world.winConditions.every(condition => {
+        switch (condition.type) {
+            case 'reachExit':
+                return checkExitCollision(world);
+            case 'surviveTime':
+                return world.time - world.levelStartTime >= condition.seconds * 1000;
+            case 'eliminateAll':
+                return world.obstacles.every(obstacle => obstacle.state === 'dying');
+            default:
+                return false;
+        }
+    });
+}
+
+function checkExitCollision(world) {
+    const { player, exit } = world;
+    return (
+        player.x + player.radius > exit.x &&
+        player.x - player.radius < exit.x + exit.width &&
+        player.y + player.radius > exit.y &&
+        player.y - player.radius < exit.y + exit.height
+    );
+}
+
+// Mass follows the area of the shape's hull, so it grows with size squared
+function obstacleMass(obstacle) {
+    return shapeMassProperties(obstacle.shape).area * obstacle.size * obstacle.size;
+}
+
+function obstacleInertia(obstacle) {
+    return obstacleMass(obstacle) * shapeMassProperties(obstacle.shape).gyrationSquared *
+        obstacle.size * obstacle.size;
+}
+
+// Obstacles collide as circles of radius `size`. The impulse along the
+// contact normal is shared out by mass, so big shapes shove small ones aside;
+// friction along the contact surface trades speed for spin.
+function handleObstacleCollision(world, obstacle1, obstacle2) {
+    const dx = obstacle2.x - obstacle1.x;
+    const dy = obstacle2.y - obstacle1.y;
+    const distance = Math.sqrt(dx * dx + dy * dy);
+    const minDistance = obstacle1.size + obstacle2.size;
+
+    if (distance === 0 || distance >= minDistance) return;
+
+    // Collision normal from the first obstacle to the second, and the tangent
+    const nx = dx / distance;
+    const ny = dy / distance;
+    const tx = -ny;
+    const ty = nx;
+
+    const inverseMass1 = 1 / obstacleMass(obstacle1);
+    const inverseMass2 = 1 / obstacleMass(obstacle2);
+    const inverseInertia1 = 1 / obstacleInertia(obstacle1);
+    const inverseInertia2 = 1 / obstacleInertia(obstacle2);
+    const inverseMassSum = inverseMass1 + inverseMass2;
+
+    // Velocity of each surface at the contact point, spin included
+    const spin1 = obstacle1.rotationSpeed + obstacle1.spin;
+    const spin2 = obstacle2.rotationSpeed + obstacle2.spin;
+    const relativeVelocityX = (obstacle2.speedX + spin2 * obstacle2.size * ny) -
+        (obstacle1.speedX - spin1 * obstacle1.size * ny);
+    const relativeVelocityY = (obstacle2.speedY - spin2 * obstacle2.size * nx) -
+        (obstacle1.speedY + spin1 * obstacle1.size * nx);
+    const normalVelocity = relativeVelocityX * nx + relativeVelocityY * ny;
+
+    // Only bounce if objects are moving toward each other
+    if (normalVelocity < 0) {
+        const elasticity = world.elasticity *
+            Math.min(shapeRestitution(obstacle1.shape), shapeRestitution(obstacle2.shape));
+        const normalImpulse = -(1 + elasticity) * normalVelocity / inverseMassSum;
+
+        // Friction can at most stop the surfaces sliding past each other
+        const tangentVelocity = relativeVelocityX * tx + relativeVelocityY * ty;
+        const stickingImpulse = -tangentVelocity / (inverseMassSum +
+            obstacle1.size * obstacle1.size * inverseInertia1 +
+            obstacle2.size * obstacle2.size * inverseInertia2);
+        const frictionLimit = world.contactFriction * normalImpulse;
+        const tangentImpulse = Math.max(-frictionLimit, Math.min(frictionLimit, stickingImpulse));
+
+        const impulseX = normalImpulse * nx + tangentImpulse * tx;
+        const impulseY = normalImpulse * ny + tangentImpulse * ty;
+        obstacle1.speedX -= impulseX * inverseMass1;
+        obstacle1.speedY -= impulseY * inverseMass1;
+        obstacle2.speedX += impulseX * inverseMass2;
+        obstacle2.speedY += impulseY * inverseMass2;
+
+        // Only the tangential part acts off-center
+        obstacle1.spin -= obstacle1.size * tangentImpulse * inverseInertia1;
+        obstacle2.spin -= obstacle2.size * tangentImpulse * inverseInertia2;
+    }
+
+    // Separate objects to prevent sticking, moving the lighter one further
+    const overlap = minDistance - distance;
+    const share1 = inverseMass1 / inverseMassSum;
+    const share2 = inverseMass2 / inverseMassSum;
+    obstacle1.x -= nx * overlap * share1;
+    obstacle1.y -= ny * overlap * share1;
+    obstacle2.x += nx * overlap * share2;
+    obstacle2.y += ny * overlap * share2;
+}
+
+function activePower(world) {
+    return world.playerPower.active ? SUPER_POWERS[world.playerPower.type] : null;
+}
+
+// Contact powers keep the player safe while they act on the shapes touched
+function protectedByPower(world) {
+    const power = activePower(world);
+    return Boolean(power && power.effect);
+}
+
+function schedulePickup(world) {
+    const { min, max } = PICKUP_INTERVAL;
+    world.nextPickupTime = world.time + min + random(world) * (max - min);
+}
+
+// Drops pickups whose time is up, hands the touched ones to the player and
+// spawns the next one when it is due
+function updatePickups(world) {
+    const { player } = world;
+    world.pickups = world.pickups.filter(pickup => {
+        if (pickup.expireTime !== null && world.time >= pickup.expireTime) {
+            emit(world, 'pickupExpired', { power: pickup.power, x: pickup.x, y: pickup.y });
+            return false;
+        }
+        const touching = Math.hypot(player.x - pickup.x, player.y - pickup.y) <= player.radius + PICKUP_RADIUS;
+        return !(touching && collectPickup(world, pickup));
+    });
+
+    if (world.nextPickupTime !== null && world.time >= world.nextPickupTime) {
+        if (world.pickups.length < MAX_PICKUPS) spawnPickup(world);
+        schedulePickup(world);
+    }
+}
+
+// Puts a pickup's power into the inventory; false if there is no room for it
+function collectPickup(world, pickup) {
+    const slot = powerSlotFor(world, pickup.power);
+    if (slot < 0) return false;
+
+    const { slots } = world.playerPower;
+    slots[slot] = { type: pickup.power, charges: slots[slot] ? slots[slot].charges + 1 : 1 };
+    world.powersAcquired++;
+    emit(world, 'powerAcquired', {
+        power: pickup.power,
+        slot,
+        charges: slots[slot].charges,
+        x: pickup.x,
+        y: pickup.y,
+        color: SUPER_POWERS[pickup.power].color
+    });
+    return true;
+}
+
+// A random power of a random rarity, somewhere open. The caller schedules
+// the next spawn either way.
+function spawnPickup(world) {
+    const rarity = randomRarity(world);
+    const powers = Object.keys(SUPER_POWERS).filter(power => SUPER_POWERS[power].rarity === rarity);
+    const power = randomItem(world.rng, powers);
+
+    const margin = PICKUP_RADIUS * 2;
+    const { player, entrance, exit } = world;
+    const keepClear = [
+        { x: player.x, y: player.y },
+        { x: entrance.x + entrance.width / 2, y: entrance.y + entrance.height / 2 },
+        { x: exit.x + exit.width / 2, y: exit.y + exit.height / 2 }
+    ];
+    // A few tries at an open spot; without one nothing spawns this time
+    for (let attempt = 0; attempt < 10; attempt++) {
+        const x = margin + random(world) * (world.width - margin * 2);
+        const y = margin + random(world) * (world.height - margin * 2);
+        if (isOpenSpot(world, x, y, keepClear)) {
+            world.pickups.push({ power, x, y, expireTime: world.time + RARITY_TIERS[rarity].lifetime });
+            emit(world, 'pickupSpawned', { power, rarity, x, y });
+            return;
+        }
+    }
+}
+
+// Outside every wall and far enough from each of `keepClear`
+function isOpenSpot(world, x, y, keepClear) {
+    return keepClear.every(point => Math.hypot(x - point.x, y - point.y) >= PICKUP_CLEARANCE) &&
+        !world.walls.some(wall => pointInPolygon(x, y, wall.points));
+}
+
+// Slot a picked up power would go into, or -1 when the inventory has no
+// room for it
+export function powerSlotFor(world, powerType) {
+    const { slots } = world.playerPower;
+    const stack = slots.findIndex(slot => slot && slot.type === powerType);
+    if (stack >= 0) return slots[stack].charges < MAX_POWER_CHARGES ? stack : -1;
+    return slots.indexOf(null);
+}
+
+// Spends a charge from an inventory slot, unless it is empty or on cooldown
+function activatePowerSlot(world, slotIndex) {
+    const { playerPower, player } = world;
+    const slot = playerPower.slots[slotIndex];
+    if (!slot || world.time < playerPower.readyTime) return;
+
+    const refreshed = playerPower.active && playerPower.type === slot.type;
+    slot.charges--;
+    if (slot.charges === 0) playerPower.slots[slotIndex] = null;
+    playerPower.readyTime = world.time + POWER_COOLDOWN;
+    world.powersUsed++;
+
+    activatePlayerPower(world, slot.type);
+    emit(world, 'powerActivated', {
+        power: slot.type,
+        slot: slotIndex,
+        refreshed,
+        x: player.x,
+        y: player.y,
+        color: SUPER_POWERS[slot.type].color
+    });
+}
+
+function activatePlayerPower(world, powerType) {
+    const power = SUPER_POWERS[powerType];
+    // A different power takes the running one's place
+    if (world.playerPower.type !== powerType) deactivatePlayerPower(world);
+    world.playerPower.active = true;
+    world.playerPower.type = powerType;
+    world.playerPower.endTime = world.time + power.duration;
+    world.playerPower.nextBlink = 0;
+    if (power.activate) power.activate(world);
+}
+
+function updatePlayerPower(world, input) {
+    if (world.playerPower.active && world.time >= world.playerPower.endTime) {
+        deactivatePlayerPower(world);
+    }
+
+    const power = activePower(world);
+    if (power && power.update) power.update(world, input);
+}
+
+// Ends the running power, if any, however it ended
+function deactivatePlayerPower(world) {
+    if (!world.playerPower.active) return;
+    emit(world, 'powerExpired', { power: world.playerPower.type });
+    world.playerPower.active = false;
+    world.playerPower.type = null;
+}
@@ -0,0 +1,56 @@
+// Uniform grid broadphase. Circles are dropped into every cell their bounding
+// box covers, and only circles sharing a cell are tested against each other.
+// A pair that shares several cells is reported once, from the cell at the
+// top-left corner of where their bounding boxes overlap.
+
+export const SPATIAL_CELL_SIZE = 100;
+
+export function createSpatialHash(width, height, cellSize = SPATIAL_CELL_SIZE) {
+    const columns = Math.max(1, Math.ceil(width / cellSize));
+    const rows = Math.max(1, Math.ceil(height / cellSize));
+    return { cellSize, columns, rows, cells: new Map() };
+}
+
+function columnAt(hash, x) {
+    return Math.max(0, Math.min(hash.columns - 1, Math.floor(x / hash.cellSize)));
+}
+
+function rowAt(hash, y) {
+    return Math.max(0, Math.min(hash.rows - 1, Math.floor(y / hash.cellSize)));
+}
+
+export function insertCircle(hash, item, x, y, radius) {
+    const entry = {
+        item,
+        minColumn: columnAt(hash, x - radius),
+        maxColumn: columnAt(hash, x + radius),
+        minRow: rowAt(hash, y - radius),
+        maxRow: rowAt(hash, y + radius)
+    };
+
+    for (let row = entry.minRow; row <= entry.maxRow; row++) {
+        for (let column = entry.minColumn; column <= entry.maxColumn; column++) {
+            const key = row * hash.columns + column;
+            const cell = hash.cells.get(key);
+            if (cell) cell.push(entry);
+            else hash.cells.set(key, [entry]);
+        }
+    }
+}
+
+// Calls `callback(a, b)` once for every pair of items sharing at least one cell
+export function forEachPair(hash, callback) {
+    hash.cells.forEach((cell, key) => {
+        const column = key % hash.columns;
+        const row = Math.floor(key / hash.columns);
+        for (let i = 0; i < cell.length; i++) {
+            for (let j = i + 1; j < cell.length; j++) {
+                const a = cell[i];
+                const b = cell[j];
+                if (column === Math.max(a.minColumn, b.minColumn) && row === Math.max(a.minRow, b.minRow)) {
+                    callback(a.item, b.item);
+                }
+            }
+        }
+    });
+}
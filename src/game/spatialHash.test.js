@@ -0,0 +1,48 @@
+import { createSpatialHash, insertCircle, forEachPair } from './spatialHash';
+import { createRng, nextRandom } from './rng';
+
+// Every reported pair, as "a-b" with the lower id first
+function reportedPairs(hash) {
+    const pairs = [];
+    forEachPair(hash, (a, b) => pairs.push(`${Math.min(a.id, b.id)}-${Math.max(a.id, b.id)}`));
+    return pairs;
+}
+
+describe('spatial hash broadphase', () => {
+    test('reports a pair sharing several cells once', () => {
+        const hash = createSpatialHash(800, 600);
+        // Both straddle the corner of four cells
+        insertCircle(hash, { id: 1 }, 100, 100, 30);
+        insertCircle(hash, { id: 2 }, 110, 95, 30);
+        expect(reportedPairs(hash)).toEqual(['1-2']);
+    });
+
+    test('never reports circles that share no cell', () => {
+        const hash = createSpatialHash(800, 600);
+        insertCircle(hash, { id: 1 }, 50, 50, 10);
+        insertCircle(hash, { id: 2 }, 750, 550, 10);
+        expect(reportedPairs(hash)).toEqual([]);
+    });
+
+    test('reports every touching pair exactly once', () => {
+        const rng = createRng(99);
+        const circles = Array.from({ length: 200 }, (_, id) => ({
+            id,
+            x: nextRandom(rng) * 800,
+            y: nextRandom(rng) * 600,
+            radius: 5 + nextRandom(rng) * 60
+        }));
+        const hash = createSpatialHash(800, 600);
+        circles.forEach(circle => insertCircle(hash, circle, circle.x, circle.y, circle.radius));
+
+        const pairs = reportedPairs(hash);
+        expect(new Set(pairs).size).toBe(pairs.length);
+
+        const reported = new Set(pairs);
+        circles.forEach((a, i) => circles.slice(i + 1).forEach(b => {
+            if (Math.hypot(a.x - b.x, a.y - b.y) < a.radius + b.radius) {
+                expect(reported.has(`${a.id}-${b.id}`)).toBe(true);
+            }
+        }));
+    });
+});
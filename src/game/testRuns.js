@@ -0,0 +1,30 @@
+// Scripted play shared by the simulation tests
+
+import { stepWorld, EMPTY_INPUT } from './simulation';
+import { recordFrame } from './replay';
+
+// Moves in a new direction every 40 ticks so the stuck check never restarts
+// the level, with a touch drag and the odd blink or power mixed in
+export function scriptedInput(tick) {
+    const direction = Math.floor(tick / 40) % 4;
+    return {
+        ...EMPTY_INPUT,
+        up: direction === 0,
+        right: direction === 1,
+        down: direction === 2,
+        left: direction === 3,
+        touch: tick % 200 < 20 ? { x: 400 + tick % 7, y: 300 - tick % 5 } : null,
+        blink: tick % 50 === 25,
+        usePower: tick % 90 === 45 ? Math.floor(tick / 90) % 3 : null
+    };
+}
+
+// Steps a world through `count` ticks of scripted input starting at tick
+// `from`, adding every frame to `recording` when one is given
+export function playTicks(world, from, count, recording = null) {
+    for (let tick = from; tick < from + count; tick++) {
+        const input = scriptedInput(tick);
+        if (recording) recordFrame(recording, input);
+        stepWorld(world, input);
+    }
+}
@@ -0,0 +1,115 @@
+// Static wall geometry. Every wall is a closed polygon; straight segments from
+// the level format are expanded to thin rectangles when the level is parsed.
+// Circles (the player and the obstacles) are pushed out of walls along the
+// shortest way out, which makes them slide along a wall they press into.
+
+export const WALL_COLOR = '#4A4E69';
+
+// Rectangle around a segment, `thickness` wide
+export function segmentToPolygon(x1, y1, x2, y2, thickness) {
+    const length = Math.sqrt((x2 - x1) * (x2 - x1) + (y2 - y1) * (y2 - y1)) || 1;
+    const nx = -(y2 - y1) / length * thickness / 2;
+    const ny = (x2 - x1) / length * thickness / 2;
+    return [
+        { x: x1 + nx, y: y1 + ny },
+        { x: x2 + nx, y: y2 + ny },
+        { x: x2 - nx, y: y2 - ny },
+        { x: x1 - nx, y: y1 - ny }
+    ];
+}
+
+export function pointInPolygon(x, y, points) {
+    let inside = false;
+    for (let i = 0, j = points.length - 1; i < points.length; j = i++) {
+        const a = points[i];
+        const b = points[j];
+        if ((a.y > y) !== (b.y > y) && x < (b.x - a.x) * (y - a.y) / (b.y - a.y) + a.x) {
+            inside = !inside;
+        }
+    }
+    return inside;
+}
+
+function closestPointOnSegment(x, y, a, b) {
+    const abx = b.x - a.x;
+    const aby = b.y - a.y;
+    const lengthSquared = abx * abx + aby * aby;
+    const t = lengthSquared === 0
+        ? 0
+        : Math.max(0, Math.min(1, ((x - a.x) * abx + (y - a.y) * aby) / lengthSquared));
+    return { x: a.x + abx * t, y: a.y + aby * t };
+}
+
+// Contact between a circle and a polygon, or null when they do not touch.
+// `nx`/`ny` point out of the wall and `depth` is how far to move the circle.
+export function circlePolygonContact(x, y, radius, points) {
+    let closest = null;
+    let closestDistanceSquared = Infinity;
+
+    for (let i = 0, j = points.length - 1; i < points.length; j = i++) {
+        const point = closestPointOnSegment(x, y, points[j], points[i]);
+        const distanceSquared = (x - point.x) * (x - point.x) + (y - point.y) * (y - point.y);
+        if (distanceSquared < closestDistanceSquared) {
+            closest = point;
+            closestDistanceSquared = distanceSquared;
+        }
+    }
+
+    const inside = pointInPolygon(x, y, points);
+    const distance = Math.sqrt(closestDistanceSquared);
+    if (!inside && distance >= radius) return null;
+
+    if (distance === 0) {
+        // Center exactly on an edge; push straight away from the polygon's middle
+        const center = polygonCenter(points);
+        const dx = x - center.x;
+        const dy = y - center.y;
+        const length = Math.sqrt(dx * dx + dy * dy) || 1;
+        return { nx: dx / length, ny: dy / length, depth: radius };
+    }
+
+    // From inside, the way out is towards the closest edge rather than away from it
+    const direction = inside ? -1 : 1;
+    return {
+        nx: (x - closest.x) / distance * direction,
+        ny: (y - closest.y) / distance * direction,
+        depth: inside ? radius + distance : radius - distance
+    };
+}
+
+function polygonCenter(points) {
+    const sum = points.reduce((total, point) => ({ x: total.x + point.x, y: total.y + point.y }), { x: 0, y: 0 });
+    return { x: sum.x / points.length, y: sum.y / points.length };
+}
+
+// Moves a circle out of every wall it overlaps. `body` needs x and y; when it
+// also has speedX/speedY the velocity into the wall is reflected with the
+// given elasticity. Returns true if any wall was touched.
+export function resolveWallCollisions(body, radius, walls, elasticity = 0) {
+    let touched = false;
+
+    // A couple of passes settle circles wedged into corners between walls
+    for (let pass = 0; pass < 2; pass++) {
+        let moved = false;
+        walls.forEach(wall => {
+            const contact = circlePolygonContact(body.x, body.y, radius, wall.points);
+            if (!contact) return;
+
+            body.x += contact.nx * contact.depth;
+            body.y += contact.ny * contact.depth;
+
+            if (body.speedX !== undefined) {
+                const normalSpeed = body.speedX * contact.nx + body.speedY * contact.ny;
+                if (normalSpeed < 0) {
+                    body.speedX -= (1 + elasticity) * normalSpeed * contact.nx;
+                    body.speedY -= (1 + elasticity) * normalSpeed * contact.ny;
+                }
+            }
+            moved = true;
+        });
+        if (!moved) break;
+        touched = true;
+    }
+
+    return touched;
+}